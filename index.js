@@ -1,9 +1,58 @@
 const PLUGIN_ID = 'signalk-hwt901b-imu-plus';
-const SerialPort = require('serialport')
-const DelimiterParser = require('@serialport/parser-delimiter')
+const fs = require('fs')
+const path = require('path')
+const {
+    PACKET_TYPES, OUTPUT_CONTENT, MODEL_PRESETS, COMBINED_OUTPUT_MODELS, REGISTERS, REGISTER_MAP, CALIBRATION_MODES,
+    parseRegister, outputContentMask, createDecoder, createWitLink
+} = require('./lib/wit-protocol')
+const { createCommandQueue } = require('./lib/command-queue')
+const { createMagCalibration } = require('./lib/mag-calibration')
+const { createSeaState } = require('./lib/sea-state')
+const { ORIENTATIONS, DEFAULT_ORIENTATION, LEGACY_ORIENTATION, LEGACY_YAW, createMounting } = require('./lib/orientation')
+const { TRANSPORTS, createTransport, describeTransport, isConfigurable } = require('./lib/transports')
+const { createRecorder } = require('./lib/recording')
+const { createModbusMaster, createModbusLink, poll } = require('./lib/modbus')
+const { FILTER_TYPES, createFilter } = require('./lib/filters')
+const { createZoneMonitor, createSuddenMotionMonitor } = require('./lib/alarms')
+const { ALGORITHMS, createAhrs } = require('./lib/ahrs')
+const { createDeviationTable, createSwing, mergeSwing } = require('./lib/deviation')
+const { SENTENCES, buildSentence } = require('./lib/nmea0183')
+const { PGNS, pgnPaths, buildPgn } = require('./lib/nmea2000')
+const { createBarometer } = require('./lib/barometer')
+const { MEASUREMENTS, measurementMeta } = require('./lib/measurements')
 
 const freqs = ["0.2Hz", "0.5Hz", "1Hz", "2Hz", "5Hz", "10Hz", "20Hz", "50Hz"]
 const bauds = ["2400","4800","9600","19200","38400","57600","115200","230400","460800","921600"]
+const protocols = ["wit", "modbus"]
+const attitudeSources = ["sensor", "fusion"]
+const swingReferences = ["cog", "manual"]
+const filterablePaths = [
+    "navigation.attitude", "navigation.headingCompass", "navigation.headingMagnetic", "navigation.headingTrue", "navigation.rateOfTurn",
+    "navigation.acceleration.ax", "navigation.acceleration.ay", "navigation.acceleration.az",
+    "navigation.angular_velocity.wx", "navigation.angular_velocity.wy", "navigation.angular_velocity.wz",
+    "environment.inside.temperature", "environment.inside.pressure", "environment.heave",
+    "navigation.speedOverGround", "navigation.courseOverGroundTrue"
+]
+// angles are filtered on the circle, headings are published in the 0..2π range
+const circularPaths = {
+    "navigation.attitude": "angle",
+    "navigation.headingCompass": "heading",
+    "navigation.headingMagnetic": "heading",
+    "navigation.headingTrue": "heading",
+    "navigation.courseOverGroundTrue": "heading"
+}
+const models = ["Custom"].concat(Object.keys(MODEL_PRESETS))
+const STATISTICS_INTERVAL = 5000   // ms
+const SEA_STATE_INTERVAL = 10000   // ms
+const BAROMETER_INTERVAL = 10000   // ms
+const RECONNECT_DELAY = 1000       // ms, first attempt
+const MAX_RECONNECT_DELAY = 60000  // ms
+const STOP_TIMEOUT = 2000          // ms given to the last commands when the plugin stops
+const WATCHDOG_INTERVAL = 1000     // ms
+const STALE_PERIODS = 5            // return periods without data before a device is stale
+const MIN_STALE_TIMEOUT = 2000     // ms
+const COURSE_TIMEOUT = 3000        // ms, age of the GPS course still usable as swing reference
+const MIN_FIX_SATELLITES = 3
 
 module.exports = function (app) {
     let plugin = {};
@@ -17,12 +66,57 @@ module.exports = function (app) {
         type: "object",
         required: ["usbDevice", "freq", "zOffset"],
         properties: {
+            variationSource: {
+                type: "string",
+                title: "Magnetic variation source",
+                description: "used to compute the true heading: navigation.magneticVariation from the server or the value below",
+                default: "server",
+                enum: ["server", "manual"]
+            },
+            variation: {
+                type: "number",
+                title: "Manual magnetic variation",
+                description: "degrees, east positive",
+                default: 0.0
+            },
             devices: {
                 type: 'array',
                 title: 'Devices',
                 items: {
                     type: 'object',
                     properties: {
+                        name: {
+                            type: "string",
+                            title: "Name / location",
+                            description: "e.g. helm or mast, identifies the device in the data source (WIT.<name>) and the plugin status, defaults to its position in this list"
+                        },
+                        pathPrefix: {
+                            type: "string",
+                            title: "Path prefix",
+                            description: "optional, e.g. sensors.mast: publishes sensors.mast.navigation.attitude and so on, so several devices do not overwrite each other"
+                        },
+                        transport: {
+                            type: "string",
+                            title: "Transport",
+                            description: "serial: sensor on a serial/USB port, tcp-client: connect to a serial-to-Ethernet bridge or WiFi sensor, " +
+                                "tcp-server: wait for the sensor to connect, udp: listen for datagrams, replay: recorded stream played back as a virtual device",
+                            default: "serial",
+                            enum: TRANSPORTS
+                        },
+                        protocol: {
+                            type: "string",
+                            title: "Protocol",
+                            description: "wit: the sensor streams its data, modbus: RS485 sensors polled with Modbus RTU, " +
+                                "modbus devices on the same port share the line and need different addresses",
+                            default: "wit",
+                            enum: protocols
+                        },
+                        modbusAddress: {
+                            type: "number",
+                            title: "Modbus address",
+                            description: "modbus protocol only: slave address of the sensor (0x50 = 80 by default)",
+                            default: 80
+                        },
                         usbDevice: {
                             type: "string",
                             title: "USB Device Name",
@@ -43,29 +137,391 @@ module.exports = function (app) {
                             default: "2Hz",
                             enum: freqs
                         },
+                        gnss: {
+                            type: "boolean",
+                            title: "Publish GNSS data",
+                            description: "position, speed, course, dilutions and date/time of the WTGAHRS GPS, disable when another GPS is primary",
+                            default: true
+                        },
+                        staleTimeout: {
+                            type: "number",
+                            title: "Stale data timeout",
+                            description: "seconds without data before the values are set to null and the port is reopened, " +
+                                "0 for 5 return periods (at least 2 s)",
+                            default: 0
+                        },
+                        host: {
+                            type: "string",
+                            title: "Host",
+                            description: "tcp-client transport only: address of the bridge or sensor"
+                        },
+                        port: {
+                            type: "number",
+                            title: "Port",
+                            description: "tcp-client: port to connect to, tcp-server/udp: port to listen on"
+                        },
+                        replayFile: {
+                            type: "string",
+                            title: "Replay file",
+                            description: "replay transport only: recording to play, relative to the plugin data directory"
+                        },
+                        replaySpeed: {
+                            type: "number",
+                            title: "Replay speed",
+                            description: "replay transport only: 1 for the original pace, 10 for ten times faster, 0 as fast as possible",
+                            default: 1
+                        },
+                        replayLoop: {
+                            type: "boolean",
+                            title: "Replay loop",
+                            description: "replay transport only: start over at the end of the recording",
+                            default: false
+                        },
+                        record: {
+                            type: "boolean",
+                            title: "Record raw stream",
+                            description: "writes the received bytes with timestamps to a file in the plugin data directory",
+                            default: false
+                        },
+                        model: {
+                            type: "string",
+                            title: "Sensor model",
+                            description: "Selects the output content for the model, choose Custom to pick the packets below",
+                            default: "Custom",
+                            enum: models
+                        },
+                        output: {
+                            type: "object",
+                            title: "Output content (Custom model only)",
+                            properties: Object.keys(OUTPUT_CONTENT).reduce((properties, key) => {
+                                properties[key] = {
+                                    type: "boolean",
+                                    title: OUTPUT_CONTENT[key].title,
+                                    default: OUTPUT_CONTENT[key].default
+                                }
+                                return properties
+                            }, {})
+                        },
                         accCal: {
                             type: "boolean",
                             title: "Accelerometer calibration",
-                            description: "automatically resets to false after execution",
+                            description: "automatically resets to false after execution, can also be triggered by a PUT request",
                             default: false
                         },
                         angleRef: {
                             type: "boolean",
                             title: "Reset Angle Reference",
-                            description: "set roll & pitch to level, automatically resets to false after execution",
+                            description: "set roll & pitch to level, automatically resets to false after execution, can also be triggered by a PUT request",
                             default: false
                         },
+                        magCal: {
+                            type: "boolean",
+                            title: "Magnetic calibration",
+                            description: "turn the boat through a full circle while running, automatically resets to false after execution",
+                            default: false
+                        },
+                        magCalDuration: {
+                            type: "number",
+                            title: "Magnetic calibration duration",
+                            description: "seconds before the calibration is stopped and saved",
+                            default: 60
+                        },
                         zOffset: {
                             type: "number",
                             title: "Heading Offset",
                             description: "heading degrees offset (-180.0° to 180.0°)",
                             default: 0.0
                         },
+                        mounting: {
+                            type: "object",
+                            title: "Mounting",
+                            description: "how the sensor is installed, applied to acceleration, angular velocity, attitude and quaternion",
+                            properties: {
+                                orientation: {
+                                    type: "string",
+                                    title: "Orientation",
+                                    description: "sensor axes pointing to the bow and up, e.g. Z forward/aft for a bulkhead mounting",
+                                    default: DEFAULT_ORIENTATION,
+                                    enum: ORIENTATIONS
+                                },
+                                rollOffset: {
+                                    type: "number",
+                                    title: "Roll offset",
+                                    description: "degrees, roll read by the sensor with the boat level",
+                                    default: 0.0
+                                },
+                                pitchOffset: {
+                                    type: "number",
+                                    title: "Pitch offset",
+                                    description: "degrees, pitch read by the sensor with the boat level",
+                                    default: 0.0
+                                },
+                                yawOffset: {
+                                    type: "number",
+                                    title: "Yaw offset",
+                                    description: "degrees, sensor misalignment from the boat's centerline",
+                                    default: 0.0
+                                }
+                            }
+                        },
+                        publishRate: {
+                            type: "number",
+                            title: "Publish rate",
+                            description: "Hz, independent of the return rate, 0 to publish every data set received from the sensor",
+                            default: 0
+                        },
+                        paths: {
+                            type: "array",
+                            title: "Published paths",
+                            description: "measurements to disable or to publish on another SignalK path, the others keep their default path",
+                            items: {
+                                type: "object",
+                                required: ["measurement"],
+                                properties: {
+                                    measurement: {
+                                        type: "string",
+                                        title: "Measurement",
+                                        enum: Object.keys(MEASUREMENTS)
+                                    },
+                                    enabled: {
+                                        type: "boolean",
+                                        title: "Published",
+                                        default: true
+                                    },
+                                    path: {
+                                        type: "string",
+                                        title: "SignalK path",
+                                        description: "used as is, without the device path prefix; empty for the default path"
+                                    }
+                                }
+                            }
+                        },
+                        filters: {
+                            type: "array",
+                            title: "Filters",
+                            description: "processing applied to the values before they are published",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    path: {
+                                        type: "string",
+                                        title: "Path",
+                                        enum: filterablePaths
+                                    },
+                                    type: {
+                                        type: "string",
+                                        title: "Filter",
+                                        description: "average: moving average, low-pass: exponential, median: moving median",
+                                        default: "average",
+                                        enum: FILTER_TYPES
+                                    },
+                                    period: {
+                                        type: "number",
+                                        title: "Window / time constant",
+                                        description: "seconds",
+                                        default: 1
+                                    }
+                                }
+                            }
+                        },
+                        alarms: {
+                            type: "object",
+                            title: "Attitude alarms",
+                            description: "raised as notifications, angles in degrees, 0 disables a limit",
+                            properties: {
+                                heelWarn: { type: "number", title: "Heel warning", default: 0 },
+                                heelAlarm: { type: "number", title: "Heel alarm", default: 0 },
+                                knockdown: { type: "number", title: "Knockdown heel (emergency, immediate)", default: 0 },
+                                pitchWarn: { type: "number", title: "Pitch warning", default: 0 },
+                                pitchAlarm: { type: "number", title: "Pitch alarm", default: 0 },
+                                hysteresis: {
+                                    type: "number",
+                                    title: "Hysteresis",
+                                    description: "degrees below a limit before its notification is cleared",
+                                    default: 2
+                                },
+                                duration: {
+                                    type: "number",
+                                    title: "Minimum duration",
+                                    description: "seconds a limit must be exceeded before the notification is raised",
+                                    default: 5
+                                },
+                                rollRate: {
+                                    type: "number",
+                                    title: "Sudden roll rate",
+                                    description: "°/s, roll rate raising a sudden motion alarm, cleared after 10 s below",
+                                    default: 0
+                                }
+                            }
+                        },
+                        fusion: {
+                            type: "object",
+                            title: "Sensor fusion",
+                            description: "attitude computed by the plugin from the raw acceleration, angular velocity and magnetic field (acceleration and gyro output needed, magnetic field for the heading)",
+                            properties: {
+                                enabled: {
+                                    type: "boolean",
+                                    title: "Enabled",
+                                    default: false
+                                },
+                                algorithm: {
+                                    type: "string",
+                                    title: "Algorithm",
+                                    enum: ALGORITHMS,
+                                    default: "madgwick"
+                                },
+                                gain: {
+                                    type: "number",
+                                    title: "Gain",
+                                    description: "Madgwick beta or Mahony proportional gain, higher follows the accelerometer and magnetometer faster, 0 for the default (0.1 / 1)",
+                                    default: 0
+                                },
+                                integralGain: {
+                                    type: "number",
+                                    title: "Integral gain",
+                                    description: "Mahony only, corrects the gyro bias, 0 to disable",
+                                    default: 0
+                                },
+                                source: {
+                                    type: "string",
+                                    title: "Published attitude",
+                                    description: "source of navigation.attitude and headings, the other one being published under sensors",
+                                    enum: attitudeSources,
+                                    default: "sensor"
+                                }
+                            }
+                        },
+                        deviation: {
+                            type: "array",
+                            title: "Deviation table",
+                            description: "compass deviation in degrees, east positive, at compass headings and interpolated in between; filled in by the swing",
+                            items: {
+                                type: "object",
+                                required: ["heading", "deviation"],
+                                properties: {
+                                    heading: { type: "number", title: "Compass heading" },
+                                    deviation: { type: "number", title: "Deviation" }
+                                }
+                            }
+                        },
+                        swing: {
+                            type: "object",
+                            title: "Compass swing",
+                            properties: {
+                                points: {
+                                    type: "number",
+                                    title: "Table headings",
+                                    description: "headings measured by a swing, evenly spaced",
+                                    default: 12
+                                },
+                                minSpeed: {
+                                    type: "number",
+                                    title: "Minimum speed",
+                                    description: "knots, speed over ground needed for the GPS course to be used as reference",
+                                    default: 3
+                                }
+                            }
+                        },
+                        nmea0183: {
+                            type: "object",
+                            title: "NMEA 0183 output",
+                            description: "sentences sent to the server NMEA 0183 output (nmea0183out event), intervals in seconds, 0 disables a sentence",
+                            properties: Object.assign({
+                                enabled: {
+                                    type: "boolean",
+                                    title: "Enabled",
+                                    default: false
+                                },
+                                talker: {
+                                    type: "string",
+                                    title: "Talker ID",
+                                    default: "II"
+                                }
+                            }, nmeaSentenceSchema())
+                        },
+                        nmea2000: {
+                            type: "object",
+                            title: "NMEA 2000 output",
+                            description: "PGNs sent to the server NMEA 2000 output (nmea2000JsonOut event), maximum rates in Hz, 0 disables a PGN",
+                            properties: Object.assign({
+                                enabled: {
+                                    type: "boolean",
+                                    title: "Enabled",
+                                    default: false
+                                },
+                                instance: {
+                                    type: "number",
+                                    title: "Instance",
+                                    description: "data instance of the PGNs having one (pressure)",
+                                    default: 0
+                                }
+                            }, nmea2000PgnSchema())
+                        },
+                        rateOfTurnSmoothing: {
+                            type: "number",
+                            title: "Rate of turn smoothing",
+                            description: "time constant in seconds, 0 to disable",
+                            default: 0
+                        },
                         tempOffset: {
                             type: "number",
                             title: "Temperature Offset",
                             description: "Temperature offset on Celsius",
                             default: 0.0
+                        },
+                        barometer: {
+                            type: "object",
+                            title: "Barometer",
+                            description: "smoothed pressure, tendency and trend from the pressure sensor (pressure output needed)",
+                            properties: {
+                                enabled: {
+                                    type: "boolean",
+                                    title: "Enabled",
+                                    default: false
+                                },
+                                smoothing: {
+                                    type: "number",
+                                    title: "Smoothing",
+                                    description: "time constant in seconds, 0 to disable",
+                                    default: 60
+                                },
+                                elevation: {
+                                    type: "number",
+                                    title: "Sensor elevation",
+                                    description: "m above sea level for the reduction to sea level, 0 publishes the pressure as measured",
+                                    default: 0
+                                },
+                                dropWarning: {
+                                    type: "number",
+                                    title: "Pressure drop warning",
+                                    description: "hPa fall in 3 hours raising a warning notification, 0 disables it",
+                                    default: 4
+                                }
+                            }
+                        },
+                        seaState: {
+                            type: "object",
+                            title: "Sea state",
+                            description: "heave, wave height and period from vertical acceleration (acceleration and angle output needed)",
+                            properties: {
+                                enabled: {
+                                    type: "boolean",
+                                    title: "Enabled",
+                                    default: false
+                                },
+                                window: {
+                                    type: "number",
+                                    title: "Statistics window",
+                                    description: "minutes of heave used for wave height and period",
+                                    default: 10
+                                },
+                                cutoff: {
+                                    type: "number",
+                                    title: "Drift filter cutoff",
+                                    description: "Hz, waves longer than 1/cutoff seconds are attenuated",
+                                    default: 0.03
+                                }
+                            }
                         }
                     }
                 }
@@ -73,6 +529,42 @@ module.exports = function (app) {
         }
     }
 
+    function nmeaSentenceSchema() {
+        const defaults = { HDM: 0, HDG: 1, ROT: 1, XDR: 1, RMC: 0, GGA: 0 }
+        const descriptions = {
+            HDM: "magnetic heading",
+            HDG: "compass heading, deviation and variation",
+            ROT: "rate of turn",
+            XDR: "pitch, roll, pressure and temperature",
+            RMC: "position, speed and course over ground (GNSS)",
+            GGA: "position and fix data (GNSS)"
+        }
+        return SENTENCES.reduce((properties, id) => Object.assign(properties, {
+            [id.toLowerCase()]: {
+                type: "number",
+                title: `${id} interval`,
+                description: descriptions[id],
+                default: defaults[id]
+            }
+        }), {})
+    }
+
+    function nmea2000PgnSchema() {
+        const pgns = [
+            { pgn: PGNS.ATTITUDE, title: "127257 Attitude", default: 1 },
+            { pgn: PGNS.VESSEL_HEADING, title: "127250 Vessel Heading", default: 10 },
+            { pgn: PGNS.RATE_OF_TURN, title: "127251 Rate of Turn", default: 10 },
+            { pgn: PGNS.ACTUAL_PRESSURE, title: "130314 Actual Pressure", default: 0.5 }
+        ]
+        return pgns.reduce((properties, entry) => Object.assign(properties, {
+            [`pgn${entry.pgn}`]: {
+                type: "number",
+                title: entry.title,
+                default: entry.default
+            }
+        }), {})
+    }
+
     const setPluginStatus = app.setPluginStatus
         ? (msg) => {
             app.setPluginStatus(msg)
@@ -89,631 +581,1768 @@ module.exports = function (app) {
 
     plugin.start = function (options) {
 
-        app.handleMessage(plugin.id, {
-            updates: [{
-                meta: [
-                    {
-                        "path": "navigation.acceleration.ax",
-                        "value": {
-                            "description": "Acceleration on X axis",
-                            "units": "m/s2",
-                            "displayName": "X acceleration",
-                        }
-                    },
-                    {
-                        "path": "navigation.acceleration.ay",
-                        "value": {
-                            "description": "Acceleration on Y axis",
-                            "units": "m/s2",
-                            "displayName": "Y acceleration",
-                        }
-                    },
-                    {
-                        "path": "navigation.acceleration.az",
-                        "value": {
-                            "description": "Acceleration on Z axis",
-                            "units": "m/s2",
-                            "displayName": "Z acceleration",
-                        }
-                    },
-                    {
-                        "path": "navigation.angular_velocity.wx",
-                        "value": {
-                            "description": "angular velocity on X axis",
-                            "units": "rad/s",
-                            "displayName": "angular velocity X",
-                        }
-                    },
-                    {
-                        "path": "navigation.angular_velocity.wy",
-                        "value": {
-                            "description": "angular velocity on Y axis",
-                            "units": "rad/s",
-                            "displayName": "angular velocity Y",
-                        }
-                    },
-                    {
-                        "path": "navigation.angular_velocity.wz",
-                        "value": {
-                            "description": "angular velocity on Z axis",
-                            "units": "rad/s",
-                            "displayName": "angular velocity Z",
-                        }
-                    }
-                ]
-            }]
-        });
+        plugin.unsubscribes = []
+        plugin.variation = null
+        if (options.variationSource === 'manual') {
+            plugin.variation = (options.variation || 0) * Math.PI / 180
+        }
+        else {
+            subscribeVariation()
+        }
+
+        plugin.course = { cog: null, sog: null, time: 0 }
+        subscribeCourse()
 
-        plugin.reconnectDelay = 1000
         let devices = options.devices
-        plugin.serialPorts = []
+        plugin.options = options
+        plugin.devices = devices
+        plugin.transports = []
+        plugin.buses = {}
+        plugin.deviceStates = []
         devices.forEach((device, index) => {
+            migrateMounting(device, index)
+            plugin.deviceStates[index] = {
+                decoder: createDecoder(packet => handlePacket(device, index, packet), {
+                    combined: COMBINED_OUTPUT_MODELS.includes(device.model)
+                }),
+                output: new Set(outputContent(device).map(key => OUTPUT_CONTENT[key].type)),
+                mounting: createMounting(device.mounting),
+                snapshot: {},
+                cycle: new Set(),
+                receiving: false,
+                queue: createCommandQueue({ debug: app.debug }),
+                seaState: device.seaState && device.seaState.enabled ? createSeaState(device.seaState) : null,
+                seaStatePublished: Date.now(),
+                link: null,
+                reconnectDelay: RECONNECT_DELAY,
+                reconnectTimer: null,
+                lastData: null,
+                lastCycle: null,
+                stale: false,
+                publishedPaths: new Set(),
+                filters: createFilters(device),
+                alarms: createAlarms(device),
+                ahrs: device.fusion && device.fusion.enabled ? createAhrs(device.fusion) : null,
+                fusionSource: !!(device.fusion && device.fusion.enabled && device.fusion.source === 'fusion'),
+                fusionUpdated: false,
+                cycleTime: null,
+                deviation: createDeviationTable(device.deviation),
+                swing: null,
+                compassHeading: null,
+                latestValues: new Map(),
+                nmeaTimers: [],
+                pgnSent: {},
+                routes: createRoutes(device, index),
+                barometer: device.barometer && device.barometer.enabled ? startBarometer(device, index) : null,
+                barometerPublished: 0,
+                pressureDrop: device.barometer && device.barometer.dropWarning > 0
+                    ? createZoneMonitor({ warn: device.barometer.dropWarning, hysteresis: 0.5 })
+                    : null,
+                pendingValues: new Map(),
+                lastPublished: 0,
+                cycles: 0,
+                cyclesSince: Date.now(),
+                status: 'connecting',
+                error: false,
+                stopped: false,
+                recorder: device.record && isConfigurable(device) && !isModbus(device) ? startRecording(index) : null
+            }
+            sendMeasurementMeta(device, index)
+            sendStatisticsMeta(index)
+            sendCalibrationMeta(index)
+            if (plugin.deviceStates[index].ahrs) {
+                sendFusionMeta(index)
+            }
+            registerActionHandlers(device, index)
+            startNmeaOutput(device, index)
             plugin.connect(device, index)
-            // todo: configure should only start when device is up and running!
-            configureDevice(device, index)
+            if (isConfigurable(device)) {
+                configureDevice(device, index)
+            }
             options.devices[index].accCal = false
             options.devices[index].angleRef = false
+            options.devices[index].magCal = false
             app.savePluginOptions(options, () => { app.debug('Plugin options saved') });
         })
+        plugin.statisticsTimer = setInterval(publishStatistics, STATISTICS_INTERVAL)
+        plugin.watchdogTimer = setInterval(checkWatchdog, WATCHDOG_INTERVAL)
+    }
+
+    /**
+     * Devices saved before the mounting setting existed had roll and pitch
+     * swapped for a cable plug to the stern: they get the matching orientation
+     * once, saved with the options, and the heading offset is turned by the
+     * yaw the orientation now corrects so that the headings do not move.
+     */
+    function migrateMounting(device, index) {
+        if (device.mounting) {
+            return
+        }
+        const zOffset = ((device.zOffset || 0) + LEGACY_YAW + 540) % 360 - 180
+        app.debug(`${sourceLabel(index)}: no mounting set, using ${LEGACY_ORIENTATION} and heading offset ${zOffset}°`)
+        device.mounting = { orientation: LEGACY_ORIENTATION, rollOffset: 0, pitchOffset: 0, yawOffset: 0 }
+        device.zOffset = zOffset
+    }
+
+    function subscribeVariation() {
+        if (!app.streambundle) {
+            return
+        }
+        plugin.unsubscribes.push(
+            app.streambundle.getSelfStream('navigation.magneticVariation').onValue(variation => {
+                plugin.variation = typeof variation === 'number' ? variation : null
+            })
+        )
+    }
+
+    // the GPS course is the reference of the compass swing
+    function subscribeCourse() {
+        if (!app.streambundle) {
+            return
+        }
+        plugin.unsubscribes.push(
+            app.streambundle.getSelfStream('navigation.courseOverGroundTrue').onValue(cog => {
+                plugin.course.cog = typeof cog === 'number' ? cog : null
+                plugin.course.time = Date.now()
+            }),
+            app.streambundle.getSelfStream('navigation.speedOverGround').onValue(sog => {
+                plugin.course.sog = typeof sog === 'number' ? sog : null
+            })
+        )
     }
 
     plugin.connect = function (device, index) {
+        if (isModbus(device)) {
+            connectModbus(device, index)
+            return
+        }
         app.debug('plugin.connect')
-        console.log(`connecting to ${device.usbDevice}:${index}`)
+        console.log(`connecting to ${describeTransport(device)}:${index}`)
+        setDeviceStatus(index, `connecting to ${describeTransport(device)}`)
         try {
-            let serial = new SerialPort(device.usbDevice, { baudRate: parseInt(device.baudRate) })
-            plugin.serialPorts[index] = serial
-
-            serial.on('open', function () {
-                const parser = serial.pipe(new DelimiterParser({ delimiter: '\x55\x50' }))
-                plugin.reconnectDelay = 1000
-                parser.on('data', data => { parseData(device, device.zOffset, data, index) })
-                setPluginStatus(`connected to ${device.usbDevice}:${index}`)
+            let transport = createTransport(device, app.getDataDirPath())
+            plugin.transports[index] = transport
+
+            transport.on('open', function () {
+                const state = plugin.deviceStates[index]
+                state.reconnectDelay = RECONNECT_DELAY
+                state.stale = false
+                state.lastCycle = Date.now()
+                state.decoder.reset()
+                if (isConfigurable(device)) {
+                    state.link = createWitLink(data => transport.write(data))
+                    state.queue.open(state.link)
+                }
+                setDeviceStatus(index, `connected to ${describeTransport(device)}`)
+            })
+
+            transport.on('data', data => {
+                const state = plugin.deviceStates[index]
+                state.lastData = Date.now()
+                if (state.recorder) {
+                    state.recorder.write(data)
+                }
+                state.decoder.push(data)
             })
 
-            serial.on('error', function (err) {
+            transport.on('error', function (err) {
                 app.debug("plugin.connect.error")
-                app.error(err.toString())
-                setPluginError(err.toString())
+                plugin.deviceStates[index].queue.close()
+                app.error(`${sourceLabel(index)}: ${err.toString()}`)
+                setDeviceStatus(index, err.toString(), true)
                 scheduleReconnect(device, index)
             })
 
-            serial.on('close', function () {
+            transport.on('close', function () {
                 app.debug("plugin.connect.close")
-                // scheduleReconnect(device, index)
+                plugin.deviceStates[index].queue.close()
+                if (transport.isReplay) {
+                    setDeviceStatus(index, 'replay finished')
+                    return
+                }
+                scheduleReconnect(device, index)
             })
         }
         catch (err) {
             app.error(err)
-            setPluginError(err.message)
+            setDeviceStatus(index, err.message, true)
             scheduleReconnect(device, index)
         }
     }
 
-    function configureDevice(device, index) {
+    function isModbus(device) {
+        return device.protocol === 'modbus' && isConfigurable(device)
+    }
+
+    /**
+     * Modbus devices configured on the same port share one bus: the first
+     * of them opens the port and polls every sensor of the bus in turn.
+     */
+    function connectModbus(device, index) {
+        const key = describeTransport(device)
+        let bus = plugin.buses[key]
+        if (!bus) {
+            bus = plugin.buses[key] = { owner: index, members: [], master: null, open: false }
+        }
+        if (!bus.members.includes(index)) {
+            bus.members.push(index)
+        }
+        if (bus.owner !== index) {
+            if (bus.open) {
+                openBusMember(bus, index)
+            }
+            return
+        }
+
+        app.debug('plugin.connect modbus')
+        console.log(`connecting to modbus ${key}:${index}`)
+        bus.members.forEach(member => setDeviceStatus(member, `connecting to modbus ${key}`))
+        try {
+            let transport = createTransport(device, app.getDataDirPath())
+            plugin.transports[index] = transport
+            bus.master = createModbusMaster({ write: data => transport.write(data) })
+
+            transport.on('open', function () {
+                plugin.deviceStates[index].reconnectDelay = RECONNECT_DELAY
+                bus.open = true
+                bus.members.forEach(member => {
+                    plugin.deviceStates[member].stale = false
+                    plugin.deviceStates[member].lastCycle = Date.now()
+                    openBusMember(bus, member)
+                    setDeviceStatus(member, `connected to modbus ${key}`)
+                })
+                pollBus(bus)
+            })
+
+            transport.on('data', data => {
+                bus.master.push(data)
+            })
+
+            transport.on('error', function (err) {
+                app.debug("plugin.connect.error")
+                closeBus(bus)
+                app.error(`${sourceLabel(index)}: ${err.toString()}`)
+                bus.members.forEach(member => setDeviceStatus(member, err.toString(), true))
+                scheduleReconnect(device, index)
+            })
+
+            transport.on('close', function () {
+                app.debug("plugin.connect.close")
+                closeBus(bus)
+                scheduleReconnect(device, index)
+            })
+        }
+        catch (err) {
+            app.error(err)
+            bus.members.forEach(member => setDeviceStatus(member, err.message, true))
+            scheduleReconnect(device, index)
+        }
+    }
+
+    function openBusMember(bus, index) {
+        const state = plugin.deviceStates[index]
+        state.link = createModbusLink(bus.master, modbusAddress(plugin.devices[index]))
+        state.queue.open(state.link)
+    }
+
+    function closeBus(bus) {
+        bus.open = false
+        clearTimeout(bus.pollTimer)
+        bus.members.forEach(member => {
+            plugin.deviceStates[member].queue.close()
+            if (member !== bus.owner && !plugin.deviceStates[member].stopped) {
+                setDeviceStatus(member, 'not connected, waiting for the bus', true)
+            }
+        })
+        if (bus.master) {
+            bus.master.close()
+        }
+    }
+
+    function modbusAddress(device) {
+        return device.modbusAddress !== undefined ? device.modbusAddress : 0x50
+    }
+
+    /**
+     * Polls every sensor of the bus once, then waits for the next cycle at
+     * the fastest return rate configured on the bus. Register writes from the
+     * command queues go through the same master and are interleaved.
+     */
+    async function pollBus(bus) {
+        const startedAt = Date.now()
+        for (const index of bus.members) {
+            if (!bus.open) {
+                return
+            }
+            const device = plugin.devices[index]
+            try {
+                const packets = await poll(bus.master, modbusAddress(device), outputContent(device))
+                plugin.deviceStates[index].lastData = Date.now()
+                packets.forEach(packet => handlePacket(device, index, packet))
+                completeCycle(device, index)
+            }
+            catch (err) {
+                app.debug(`${sourceLabel(index)}: modbus poll failed: ${err.message}`)
+            }
+        }
+        if (bus.open) {
+            const rate = Math.max(...bus.members.map(index => configuredRate(plugin.devices[index])))
+            bus.pollTimer = setTimeout(() => pollBus(bus), Math.max(0, 1000 / rate - (Date.now() - startedAt)))
+        }
+    }
+
+    /**
+     * Data files are named after the device position, as the sensors.witN
+     * paths, so that renaming a device keeps them.
+     */
+    function dataFile(index, suffix) {
+        return path.join(app.getDataDirPath(), `wit${index + 1}-${suffix}`)
+    }
+
+    function startBarometer(device, index) {
+        const file = dataFile(index, 'pressure.json')
+        // earlier versions named the history after the device
+        const named = path.join(app.getDataDirPath(), `${sourceLabel(index)}-pressure.json`)
+        if (!fs.existsSync(file) && fs.existsSync(named)) {
+            try {
+                fs.renameSync(named, file)
+            }
+            catch (err) {
+                app.debug(`${sourceLabel(index)}: pressure history not moved: ${err.message}`)
+            }
+        }
+        return createBarometer({
+            smoothing: device.barometer.smoothing,
+            elevation: device.barometer.elevation,
+            file,
+            debug: app.debug
+        })
+    }
+
+    function startRecording(index) {
+        const file = dataFile(index, `${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`)
+        app.debug(`recording ${sourceLabel(index)} to ${file}`)
+        return createRecorder(file)
+    }
 
-        const cmdUnlock = new Uint8Array([0xFF, 0xAA, 0x69, 0x88, 0xB5])
+    function configureDevice(device, index) {
 
-        var cmdFreq = new Uint8Array([0xFF, 0xAA, 0x03, 0x00, 0x00])
-        cmdFreq[3] = freqs.indexOf(device.freq) + 1
+        // polled sensors do not stream: return rate and output content are up to the poller
+        if (!isModbus(device)) {
 
-        // set frequency unconditionally
-        setTimeout(() => {
-            sendCommand(cmdFreq)
-            setTimeout(() => {
-                saveConfig("frequency")
-            }, 200)
-        }, 10000)
+            // set frequency unconditionally
+            writeRegister(index, REGISTERS.RRATE, freqs.indexOf(device.freq) + 1, "frequency").catch(reported)
 
-        // set data set unconditionally
-        setTimeout(() => {
-            sendCommand(new Uint8Array([0xFF, 0xAA, 0x02, 0xCF, 0x07]))
-            setTimeout(() => {
-                saveConfig("data set")
-            }, 200)
-        }, 12000)
+            // set output content as configured, combined output sensors have a fixed one
+            if (!COMBINED_OUTPUT_MODELS.includes(device.model)) {
+                writeRegister(index, REGISTERS.RSW, outputContentMask(outputContent(device)), "data set").catch(reported)
+            }
+        }
 
         // calibrate acceleration if requested by plugin.options
 
         if (device.accCal) {
-            setTimeout(() => {
-                app.debug('calibrate acc ...')
-                sendCommand(new Uint8Array([0xFF, 0xAA, 0x01, 0x01, 0x00]))
-                app.debug('calibrating ...')
-                setTimeout(() => {
-                    sendCommand(new Uint8Array([0xFF, 0xAA, 0x01, 0x00, 0x00]))
-                    setTimeout(() => {
-                        saveConfig("acc calibration")
-                    }, 200)
-                }, 5000)
-            }, 14000)
+            calibrateAccelerometer(index).catch(reported)
         }
 
         // reset angles if requested by plugin.options
 
         if (device.angleRef) {
-            setTimeout(() => {
-                app.debug('resetting x/y ...')
-                sendCommand(new Uint8Array([0xFF, 0xAA, 0x01, 0x08, 0x00]))
-                setTimeout(() => {
-                    saveConfig("x/y level")
-                }, 200)
-            }, 20000)
+            levelAttitude(index).catch(reported)
         }
 
-        function sendCommand(array) {
-            plugin.serialPorts[index].write(cmdUnlock)      // unlock WIT configuration
-            setTimeout(() => {
-                plugin.serialPorts[index].write(array)      // write command after 200ms
-                app.debug('command sent:', array)
-            }, 200)
-        }
+        // start magnetic calibration if requested by plugin.options
 
-        function saveConfig(comment) {
-            plugin.serialPorts[index].write(cmdUnlock)      // unlock WIT configuration
-            setTimeout(() => {                              // save WIT configuration after 200ms
-                plugin.serialPorts[index].write(new Uint8Array([0xFF, 0xAA, 0x00, 0x00, 0x00]));
-                app.debug('WIT config saved:', comment)
-            }, 200)
+        if (device.magCal) {
+            startMagCalibration(device, index).catch(reported)
         }
     }
 
-    function parseData(device, zOffset, data, index) {
-
-        const decodeWit = 0.0054931640625   // (180.00 / 32768)
-        const factRad = 0.0174532925199     // * pi/180
+    // failures are already reported by writeRegister
+    function reported() {}
+
+    /**
+     * Queues a register write on the device and reports failures through
+     * the plugin error status.
+     */
+    function writeRegister(index, register, value, comment, writeOptions = {}) {
+        return plugin.deviceStates[index].queue
+            .writeRegister(register, value, Object.assign({ description: comment }, writeOptions))
+            .catch(err => {
+                const msg = `${comment} failed: ${err.message}`
+                app.error(`${sourceLabel(index)}: ${msg}`)
+                setDeviceStatus(index, msg, true)
+                throw err
+            })
+    }
 
-        app.debug('parsed Data:', data)
-
-        if (checkWitData(data)) { // TODO: refactoring check data (NOW always true)
-
-            /******************************************************************
-             * ****************************************************************
-             * Time Output
-             *
-             * 0x55 0x50 YY MM DD hh mm ss msL msH SUM
-             *
-             * YY:Year, 20YY Year
-             * MM:Month
-             * DD:Day
-             * hh:hour
-             * mm:minute
-             * ss:Second
-             * ms:Millisecond
-             * Millisecond calculate formula:
-             * ms=((msH<<8)|msL)
-             * Sum=0x55+0x51+YY+MM+DD+hh+mm+ss+ms+TL
-             *
-             * *****************************************************************
-             *******************************************************************/
-
-            const time_year = 2000 + data.readUInt8(0)
-            const time_month = data.readUInt8(1) < 10 ? '0'+ data.readUInt8(1) : data.readUInt8(1)
-            const time_day = data.readUInt8(2) < 10 ? '0'+ data.readUInt8(2) : data.readUInt8(2)
-            const time_hour = data.readUInt8(3) < 10 ? '0'+ data.readUInt8(3) : data.readUInt8(3)
-            const time_minute = data.readUInt8(4) < 10 ? '0'+ data.readUInt8(4) : data.readUInt8(4)
-            const time_second = data.readUInt8(5) < 10 ? '0'+ data.readUInt8(5) : data.readUInt8(5)
-            let time_millisecond = data.readUInt8(6) < 100 ? '0'+ data.readUInt8(6) : data.readUInt8(6)
-            time_millisecond = data.readUInt8(6) < 10 ? '0'+ time_millisecond : time_millisecond
-            const time_checksum = data.readUInt8(8)
-
-            app.debug(
-                'Year: ', time_year,
-                'Month: ', time_month,
-                'Day: ', time_day,
-                'Hour: ', time_hour,
-                'Minute: ', time_minute,
-                'Second: ', time_second,
-                'Millisecond: ', time_millisecond
-            )
+    function calibrateAccelerometer(index) {
+        app.debug('calibrate acc ...')
+        // the sensor must rest still while calibrating, for about 5 seconds
+        return writeRegister(index, REGISTERS.CALSW, CALIBRATION_MODES.ACCELEROMETER, "acc calibration start", { verify: false, save: false, settle: 5000 })
+            .then(() => writeRegister(index, REGISTERS.CALSW, CALIBRATION_MODES.NORMAL, "acc calibration"))
+    }
 
+    function levelAttitude(index) {
+        app.debug('resetting x/y ...')
+        return writeRegister(index, REGISTERS.CALSW, CALIBRATION_MODES.ANGLE_REFERENCE, "x/y level", { verify: false })
+    }
 
-            /******************************************************************
-             * ****************************************************************
-             * Acceleration Output
-             *
-             * 0x55 0x51 AxL AxH AyL AyH AzL AzH TL TH SUM
-             *
-             * Calculate formula:
-             * ax=((AxH<<8)|AxL)/32768*16g(g is Gravity acceleration, 9.8m/s2)
-             * ay=((AyH<<8)|AyL)/32768*16g(g is Gravity acceleration, 9.8m/s2)
-             * az=((AzH<<8)|AzL)/32768*16g(g is Gravity acceleration, 9.8m/s2)
-             * Temperature calculated formular:
-             * T=((TH<<8)|TL)/100 °C
-             * Checksum:
-             * Sum=0x55+0x51+AxH+AxL+AyH+AyL+AzH+AzL+TH+TL
-             *
-             * *****************************************************************
-             *******************************************************************/
-
-            const acc_offset = 9;
-            const acc_header = data.readUInt8(acc_offset+0)
-            const acc_ax = data.readInt16LE(acc_offset+2)/32768*16*9.8
-            const acc_ay = data.readInt16LE(acc_offset+4)/32768*16*9.8
-            const acc_az = data.readInt16LE(acc_offset+6)/32768*16*9.8
-            const temp = (data.readInt16LE(acc_offset+8)/100) + 273.15 + device.tempOffset // To Kelvin value
-            const acc_checksum = data.readUInt8(acc_offset+10)
-
-            app.debug(
-                '° acc_ax: ', acc_ax,
-                '° acc_ay: ', acc_ay,
-                '° acc_az: ', acc_az,
-                '(K) temp: ', temp
-            )
+    function zeroHeading(index) {
+        app.debug('resetting heading ...')
+        return writeRegister(index, REGISTERS.CALSW, CALIBRATION_MODES.HEADING_ZERO, "heading zero", { verify: false })
+    }
 
-            /******************************************************************
-             * ****************************************************************
-             * Angular Velocity Output
-             *
-             * 0x55 0x52 wxL wxH wyL wyH wzL wzH TL TH SUM
-             *
-             * Calculated formular:
-             * wx=((wxH<<8)|wxL)/32768*2000(°/s)
-             * wy=((wyH<<8)|wyL)/32768*2000(°/s)
-             * wz=((wzH<<8)|wzL)/32768*2000(°/s)
-             * Temperature calculated formular:
-             * T=((TH<<8)|TL) /100 °C
-             *
-             * *****************************************************************
-             *******************************************************************/
-
-            const ang_offset = 20;
-            const ang_header = data.readUInt8(ang_offset+0)
-            const ang_wx = data.readInt16LE(ang_offset+2)/32768*2000
-            const ang_wy = data.readInt16LE(ang_offset+4)/32768*2000
-            const ang_wz = data.readInt16LE(ang_offset+6)/32768*2000
-            const ang_temp = (data.readInt16LE(ang_offset+8)/100) + 273.15 + device.tempOffset
-            const ang_checksum = data.readUInt8(ang_offset+10)
-
-            app.debug(
-                '° ang_wx: ', ang_wx,
-                '° ang_wy: ', ang_wy,
-                '° ang_wz: ', ang_wz,
-                '(K) temp: ', ang_temp
-            )
+    function startMagCalibration(device, index) {
+        const state = plugin.deviceStates[index]
+        if (state.magCalibration) {
+            return Promise.resolve()
+        }
+        if (!state.output.has(PACKET_TYPES.MAG)) {
+            app.error(`${sourceLabel(index)}: magnetic field output disabled, calibration progress cannot be tracked`)
+        }
 
-            /******************************************************************
-             * ****************************************************************
-             * Angle Output
-             *
-             * 0x55 0x53 RollL RollH PitchL PitchH YawL YawH VL VH SUM
-             *
-             * Calculated formular:
-             * Roll(X axis)Roll=((RollH<<8)|RollL)/32768*180(°)
-             * Pitch(Y axis)Pitch=((PitchH<<8)|PitchL)/32768*180(°)
-             * Yaw(Z axis)Yaw=((YawH<<8)|YawL)/32768*180(°)
-             * Version calculated formula:
-             * Version=(VH<<8)|VL
-             * Checksum:
-             * Sum=0x55+0x53+RollH+RollL+PitchH+PitchL+YawH+YawL+VH+VL
-             *
-             * *****************************************************************
-             *******************************************************************/
-
-            const a_offset = 31;
-            const a_header = data.readUInt16LE(a_offset+ 0)
-            const pitch = toRad(data.readUInt16LE(a_offset+ 2))
-            const roll = toRad(data.readUInt16LE(a_offset+ 4))
-            const yaw = toRad(data.readUInt16LE(a_offset+ 6))
-            let hdm = (360.00 - data.readUInt16LE(a_offset+ 6) * decodeWit + zOffset);
-            (hdm > 360) ? hdm = (hdm - 360) * factRad : hdm *= factRad
-
-            const version = data.readUInt16LE(a_offset+ 8)
-            const a_checksum = data.readUInt8(a_offset+ 10)
-
-            app.debug(
-                '° roll:', (roll / factRad).toFixed(6),
-                '° pitch', (pitch / factRad).toFixed(6),
-                '° heading:', (hdm / factRad).toFixed(6),
-                '° yaw:', (yaw / factRad).toFixed(6),
-                '° hdm:', hdm
-            )
+        app.debug('starting magnetic calibration ...')
+        state.magCalibration = createMagCalibration()
+        state.magCalibrationPublished = 0
+        return writeRegister(index, REGISTERS.CALSW, CALIBRATION_MODES.MAGNETIC, "magnetic calibration start", { save: false })
+            .then(() => {
+                state.magCalibrationTimer = setTimeout(() => {
+                    stopMagCalibration(device, index).catch(reported)
+                }, (device.magCalDuration || 60) * 1000)
+                setDeviceStatus(index, 'magnetic calibration running, turn the boat through a full circle')
+            }, err => {
+                state.magCalibration = null
+                throw err
+            })
+    }
 
-            /******************************************************************
-             * ****************************************************************
-             * Atmospheric Pressure and Height Output
-             *
-             * 0x55 0x56 P0 P1 P2 P3 H0 H1 H2 H3 SUM
-             *
-             * Calculated formular:
-             * Atmospheric pressure P = (( P3<<24)| ( P2<<16)| ( P1<<8)| P0 (Pa)
-             * Height H = (( H3<<24)| ( H2<<16)| ( H1<<8)| H0(cm)
-             * Checksum:
-             * Sum=0x55+0x54+P0+P1+P2+P3+H0+H1+H2+H3
-             *
-             * *****************************************************************
-             *******************************************************************/
-
-            const atmospheric_offset = 42;
-            const atmospheric_header = data.readInt16LE(atmospheric_offset+ 0);
-            const atmospheric_pressure = parseInt(data.readInt32LE(atmospheric_offset+ 2))
-            const atmospheric_height = (parseInt(data.readInt32LE(atmospheric_offset+ 6))/100)
-            const atmospheric_checksum = data.readUInt8(a_offset+ 10)
-
-            app.debug(
-                '(Pa) Pressure:', atmospheric_pressure,
-                '(m) Altitude:', atmospheric_height.toFixed(2),
-            )
+    function stopMagCalibration(device, index) {
+        const state = plugin.deviceStates[index]
+        if (!state.magCalibration) {
+            return Promise.resolve()
+        }
 
+        clearTimeout(state.magCalibrationTimer)
+        const report = state.magCalibration.report()
+        state.magCalibration = null
+        app.debug('magnetic calibration report:', report)
+
+        return writeRegister(index, REGISTERS.CALSW, CALIBRATION_MODES.NORMAL, "magnetic calibration")
+            .then(() => {
+                publishMagCalibration(index, 'completed', report)
+                setDeviceStatus(index, 'magnetic calibration completed, ' +
+                    `coverage ${(report.progress * 100).toFixed(0)}%, quality ${(report.quality * 100).toFixed(0)}%`)
+                return report
+            }, err => {
+                publishMagCalibration(index, 'failed', report)
+                throw err
+            })
+    }
 
-            /******************************************************************
-             * ****************************************************************
-             * Longitude and Latitude Output
-             *
-             * 0x55 0x57 Lon0 Lon 1 Lon 2 Lon 3 Lat0 Lat 1 Lat 2 Lat 3 SUM
-             *
-             * Calculated formular:
-             * Longitude Lon = ((Lon 3<<24)| (Lon 2<<16)| (Lon 1<<8)| Lon 0
-             * In NMEA0183 standard , GPS output format is ddmm.mmmmm (dd for the
-             * degree, mm.mmmmm is after decimal point ), the module removes the
-             * decimal point during output, so the degree of longitude can be calculated as
-             * follows:
-             * dd=Lon/100000000;
-             * mm.mmmmm=(Lon%10000000)/100000;(% calculate Remainder)
-             * Latitude Lat = ((Lat 3<<24)| (Lat 2<<16)| (Lat 1<<8)| Lat 0 (cm)
-             * In NMEA0183 standard , GPS output format is ddmm.mmmmm (dd for the
-             * degree, mm.mmmmm is after the decimal point ), the module removes the
-             * decimal point during output, so the degree of latitude can be calculated as
-             * follows::
-             * dd=Lat/100000000;
-             * mm.mmmmm=(Lat%10000000)/100000;(% calculate Remainder)
-             *
-             * *****************************************************************
-             *******************************************************************/
-
-            const gps_offset = 53;
-            const gps_header = data.readInt16LE(gps_offset+ 0);
-            const gps_longitude = data.readInt32LE(gps_offset+ 2)
-            const gps_latitude = data.readInt32LE(gps_offset+ 6)
-            const gps_checksum = data.readUInt8(gps_offset+ 10)
-
-            let latitude_dd = parseInt(gps_latitude/10000000)
-            let latitude_mm= (gps_latitude%10000000)/100000/60
-
-            let longitude_dd = parseInt(gps_longitude/10000000)
-            let longitude_mm = (gps_longitude%10000000)/100000/60
-
-            let final_latitude = latitude_dd + latitude_mm
-            let final_longitude = longitude_dd + longitude_mm
-
-
-            app.debug(
-                '(°) Latitude:', gps_latitude,
-                '(°) Longitudine:', gps_longitude,
-                '(°) Latitude (NMEA0183) :', final_latitude,
-                '(°) Latitude (NMEA0183) dd:', latitude_dd,
-                '(°) Latitude (NMEA0183) mm:', latitude_mm,
-                '(°) Longitude (NMEA0183) :', final_longitude,
-                '(°) Longitude (NMEA0183) dd:', longitude_dd,
-                '(°) Longitude (NMEA0183) mm:', longitude_mm
-            )
+    function publishMagCalibration(index, calibrationState, report) {
+        app.handleMessage(plugin.id, {
+            updates: [{
+                '$source': sourceLabel(index),
+                values: [
+                    { path: `${magCalibrationPath(index)}.state`, value: calibrationState },
+                    { path: `${magCalibrationPath(index)}.progress`, value: report.progress },
+                    { path: `${magCalibrationPath(index)}.quality`, value: report.quality }
+                ]
+            }]
+        })
+    }
 
-            /******************************************************************
-             * ****************************************************************
-             * Ground Speed Output
-             *
-             * 0x55 0x58 GPSHeightL GPSHeightH GPSYawL GPSYawH GPSV0 GPSV 1 GPSV 2 GPSV 3 SUM
-             *
-             * Calculated formular:
-             * GPSHeight = ((GPSHeightH<<8)| GPSHeightL)/10 (m)
-             * GPSYaw =( (GPSYawH <<8)| GPSYawL)/10 (°)
-             * GPSV = (((GPSV 3<<24)| (GPSV 2<<16)| (GPSV2<<8)|GPSV0)/1000 (km/h)
-             *
-             * Checksum:
-             * Sum=0x55+0x54+ GPSHeightL + GPSHeightH + GPSYawL + GPSYawH + GPSV0+ GPSV 1+ GPSV 2+ GPSV 3
-             *
-             * *****************************************************************
-             *******************************************************************/
-
-            const gps2_offset = 64;
-            const gps2_header = data.readInt16LE(gps2_offset+ 0)
-            const gps2_height = data.readInt16LE(gps2_offset+ 2)/10
-            const gps2_yaw = data.readUInt16LE(gps2_offset+ 4)/100
-            const gps2_speed = data.readUInt32LE(gps2_offset+ 6)/1000/3.6
-            const gps2_checksum = data.readUInt8(gps2_offset+ 6)
-
-            app.debug(
-                '(m) Height:', gps2_height,
-                '(°) Yaw:', gps2_yaw,
-                '(rad) Yaw:', toRadRaw(gps2_yaw),
-                '(m/s) Speed:', gps2_speed,
-            )
+    function startSwing(device, index, reference) {
+        const state = plugin.deviceStates[index]
+        if (!swingReferences.includes(reference)) {
+            return Promise.reject(new Error(`unknown swing reference ${reference}, expected ${swingReferences.join(' or ')}`))
+        }
+        if (reference === 'cog' && plugin.variation === null) {
+            return Promise.reject(new Error('magnetic variation unknown, the GPS course cannot be used as reference'))
+        }
 
-            /******************************************************************
-             * ****************************************************************
-             * Quaternion
-             *
-             * 0x55 0x59 Q0L Q0H Q1L Q1H Q2L Q2H Q3L Q3H SUM
-             *
-             * Calculated formular:
-             * Q0=((Q0H<<8)|Q0L)/32768
-             * Q1=((Q1H<<8)|Q1L)/32768
-             * Q2=((Q2H<<8)|Q2L)/32768
-             * Q3=((Q3H<<8)|Q3L)/32768
-             * Checksum:
-             * Sum=0x55+0x59+Q0L+Q0H+Q1L +Q1H +Q2L+Q2H+Q3L+Q3H
-             *
-             * *****************************************************************
-             *******************************************************************/
-
-            const quaternion_offset = 75;
-            const quaternion_header = data.readInt16LE(quaternion_offset+ 0)
-            const quaternion_q0 = data.readInt16LE(quaternion_offset+ 2)/32768
-            const quaternion_q1 = data.readInt16LE(quaternion_offset+ 4)/32768
-            const quaternion_q2 = data.readUInt16LE(quaternion_offset+ 6)/32768
-            const quaternion_q3 = data.readUInt16LE(quaternion_offset+ 8)/32768
-            const quaternion_checksum = data.readUInt8(quaternion_offset+ 10)
-
-            app.debug(
-                'Q0:', quaternion_q0,
-                'Q1:', quaternion_q1,
-                'Q2:', quaternion_q2,
-                'Q3:', quaternion_q3,
-            )
+        app.debug('starting compass swing, reference:', reference)
+        state.swing = createSwing(device.swing)
+        state.swingReference = reference
+        state.swingPublished = 0
+        setDeviceStatus(index, reference === 'cog'
+            ? 'compass swing running, hold each heading steady for a few seconds'
+            : 'compass swing running, send the magnetic bearing of a transit on each heading')
+        return Promise.resolve()
+    }
 
-            /******************************************************************
-             * ****************************************************************
-             * Satellite Positioning Accuracy Output
-             *
-             * 0x55 0x5A SNL SNH PDOPL PDOPH HDOPL HDOPH VDOPL VDOPH SUM
-             *
-             * Calculated formula:
-             *
-             * Satellite quantity:SN=((SNH<<8)|SNL)
-             * Location positioning accuracy:PDOP=((PDOPH<<8)|PDOPL)/32768
-             * Horizontal positioning accuracy:HDOP=(( HDOPH<<8)| HDOPL)/32768
-             * Vertical positioning accuracy:VDOP=(( VDOPH<<8)| VDOPL)/32768
-             * Checksum:
-             * Sum=0x55+0x59+ SNL + SNH + PDOPL + PDOPH + HDOPL + HDOPH + VDOPL + VDOPH
-             *
-             * *****************************************************************
-             *******************************************************************/
-
-            const saccuracy_offset = 86;
-            const saccuracy_header = data.readInt16LE(saccuracy_offset+ 0)
-            const saccuracy_quantity = data.readInt16LE(saccuracy_offset+ 2)
-            const saccuracy_pdop = data.readInt16LE(saccuracy_offset+ 4)/32768
-            const saccuracy_hdop = data.readUInt16LE(saccuracy_offset+ 6)/32768
-            const saccuracy_vdop = data.readUInt16LE(saccuracy_offset+ 8)/32768
-            const saccuracy_checksum = data.readUInt8(saccuracy_offset+ 10)
-
-            app.debug(
-                'Quantity:', saccuracy_quantity,
-                'pdop:', saccuracy_pdop,
-                'hdop:', saccuracy_hdop,
-                'vdop:', saccuracy_vdop,
-            )
+    function stopSwing(device, index) {
+        const state = plugin.deviceStates[index]
+        if (!state.swing) {
+            return Promise.resolve()
+        }
 
-            //  send to SK
-            app.handleMessage(plugin.id, {
-                updates: [{
-                    '$source': 'WIT.' + (index + 1).toString(),
-                    values: [
-                        {
-                            path: 'navigation.datetime',
-                            value: time_year + '-' + time_month + '-' + time_day + 'T' + time_hour + ':' + time_minute + ':' + time_second + '.' + time_millisecond + 'Z'
-                        },
-                        {
-                            path: 'navigation.acceleration.ax',
-                            value: acc_ax
-                        },
-                        {
-                            path: 'navigation.acceleration.ay',
-                            value: acc_ay
-                        },
-                        {
-                            path: 'navigation.acceleration.az',
-                            value: acc_az - 9.8
-                        },
-                        {
-                            path: 'navigation.angular_velocity.wx',
-                            value: toRadRaw(ang_wx)
-                        },
-                        {
-                            path: 'navigation.angular_velocity.wy',
-                            value: toRadRaw(ang_wy)
-                        },
-                        {
-                            path: 'navigation.angular_velocity.wz',
-                            value: toRadRaw(ang_wz)
-                        },
-                        {
-                            path: 'environment.inside.pressure',
-                            value: atmospheric_pressure
-                        },
-                        {
-                            path: 'environment.inside.temperature',
-                            value: temp
-                        },
-                        {
-                            path: 'navigation.speedOverGround',
-                            value: (saccuracy_quantity > 0 ) ? gps2_speed : null
-                        },
-                        {
-                            path: 'navigation.position',
-                            value: {
-                                longitude: (saccuracy_quantity > 0 ) ? final_longitude : null,
-                                latitude : (saccuracy_quantity > 0 ) ? final_latitude : null,
-                                altitude: (saccuracy_quantity > 0 ) ? gps2_height : null
-                            }
-                        },
-                        {
-                            path: 'navigation.gnss.antennaAltitude',
-                            value: (saccuracy_quantity > 0 ) ? gps2_height : null
-                        },
-                        {
-                            path: 'navigation.gnss.satellites',
-                            value: saccuracy_quantity
-                        },
-                        {
-                            path: 'navigation.courseOverGroundMagnetic',
-                            value: hdm
-                        },
-                        {
-                            path: 'navigation.courseOverGroundTrue',
-                            value: toRadRaw(gps2_yaw)
-                        },
-                        {
-                            path: 'navigation.attitude',
-                            value: {
-                                roll: roll,
-                                pitch: pitch,
-                                yaw: yaw
-                            }
-                        }
-                    ]
-                }]
-            })
-            setPluginStatus('Connected and receiving data')
+        const swing = state.swing
+        const report = swing.report()
+        state.swing = null
+        if (report.samples === 0) {
+            publishSwing(index, 'failed', report)
+            return Promise.reject(new Error('compass swing stopped without any sample'))
         }
 
-        function toRad(value) {
-            value *= decodeWit
-            value >= 180.00 ? value -= 360 : value
-            return (value * factRad)
+        const table = mergeSwing(state.deviation.entries(), swing)
+        app.debug('compass swing table:', table)
+        state.deviation = createDeviationTable(table)
+        plugin.options.devices[index].deviation = table
+        app.savePluginOptions(plugin.options, () => { app.debug('Plugin options saved') })
+        publishSwing(index, 'completed', report)
+        setDeviceStatus(index, `compass swing completed, ${table.length} headings in the deviation table`)
+        return Promise.resolve(table)
+    }
+
+    function cancelSwing(index) {
+        const state = plugin.deviceStates[index]
+        if (state.swing) {
+            publishSwing(index, 'cancelled', state.swing.report())
+            state.swing = null
         }
+        return Promise.resolve()
+    }
 
+    /**
+     * Manual swing sample: magnetic bearing (rad) of a transit, the boat
+     * heading along it.
+     */
+    function addSwingBearing(index, bearing) {
+        const state = plugin.deviceStates[index]
+        if (!state.swing || state.swingReference !== 'manual') {
+            return Promise.reject(new Error('no manual compass swing running'))
+        }
+        if (typeof bearing !== 'number' || state.compassHeading === null) {
+            return Promise.reject(new Error(typeof bearing !== 'number' ? 'bearing must be a number (rad)' : 'no compass heading yet'))
+        }
+        state.swing.addBearing(state.compassHeading, bearing)
+        publishSwing(index, 'running', state.swing.report())
+        return Promise.resolve()
+    }
 
-        function toRadRaw(value) {
-            value >= 180.00 ? value -= 360 : value
-            return (value * factRad)
+    /**
+     * GPS referenced swing: the course over ground, made magnetic, is taken
+     * as the heading when the boat moves fast enough for it to be
+     * meaningful. Leeway and current show up as deviation, the swing is best
+     * done in calm water.
+     */
+    function updateSwing(device, index, state, heading) {
+        if (!state.swing || state.swingReference !== 'cog') {
+            return
+        }
+        const course = plugin.course
+        const minSpeed = ((device.swing && device.swing.minSpeed) || 3) * 1852 / 3600
+        const now = Date.now()
+        if (course.cog !== null && course.sog >= minSpeed && now - course.time <= COURSE_TIMEOUT && plugin.variation !== null) {
+            state.swing.addReference(heading, course.cog - plugin.variation, now)
+        }
+        if (now - state.swingPublished >= 1000) {
+            state.swingPublished = now
+            publishSwing(index, 'running', state.swing.report())
         }
+    }
+
+    function publishSwing(index, swingState, report) {
+        app.handleMessage(plugin.id, {
+            updates: [{
+                '$source': sourceLabel(index),
+                values: [
+                    { path: `${swingPath(index)}.state`, value: swingState },
+                    { path: `${swingPath(index)}.progress`, value: report.progress },
+                    { path: `${swingPath(index)}.samples`, value: report.samples }
+                ]
+            }]
+        })
+    }
 
-        function checkWitData(data) {
-            if (data.byteLength == 97) {
-                var checksum = 168  // 0x55 + 0x53  Angle record
-                for (i = 0; i < 8; i++) { checksum += data.readUInt8(i) }
-                if (data.readUInt8(8) == checksum % 256) { return true }
+    /**
+     * Calibration and levelling actions, driven by PUT requests on
+     * sensors.witN.control.* so that a dashboard button can trigger them.
+     * The control path itself carries the state of the last request.
+     */
+    function registerActionHandlers(device, index) {
+        if (!app.registerPutHandler) {
+            return
+        }
 
-                return true;
+        // these write sensor registers, the swing is handled by the plugin alone
+        registerActionHandler(index, 'accelerometerCalibration', () => calibrateAccelerometer(index), true)
+        registerActionHandler(index, 'levelAttitude', () => levelAttitude(index), true)
+        registerActionHandler(index, 'zeroHeading', () => zeroHeading(index), true)
+        registerActionHandler(index, 'magneticCalibration', value => {
+            return value ? startMagCalibration(device, index) : stopMagCalibration(device, index)
+        }, true)
+        registerActionHandler(index, 'swing', value => {
+            if (value === 'cancel') {
+                return cancelSwing(index)
             }
+            return value ? startSwing(device, index, value === true ? 'cog' : value) : stopSwing(device, index)
+        })
+        registerActionHandler(index, 'swingBearing', value => addSwingBearing(index, value))
+    }
 
-        }
+    function registerActionHandler(index, action, run, needsConnection = false) {
+        app.registerPutHandler('vessels.self', `${controlPath(index)}.${action}`, (context, path, value, callback) => {
+            if (needsConnection && !plugin.deviceStates[index].queue.isOpen()) {
+                return { state: 'FAILED', statusCode: 503, message: `${sourceLabel(index)} is not connected` }
+            }
 
-        return false
+            publishActionState(index, action, 'pending')
+            run(value).then(() => {
+                publishActionState(index, action, 'completed')
+                callback({ state: 'COMPLETED', statusCode: 200 })
+            }, err => {
+                publishActionState(index, action, 'failed')
+                callback({ state: 'FAILED', statusCode: 502, message: err.message })
+            })
+            return { state: 'PENDING' }
+        }, PLUGIN_ID)
     }
 
-    function scheduleReconnect(device, index) {
-        plugin.reconnectDelay *= plugin.reconnectDelay < 60 * 1000 ? 1.5 : 1
-        const msg = `Not connected (retry delay ${(plugin.reconnectDelay / 1000).toFixed(0)} s)`
-        console.log(msg)
-        setPluginError(msg)
-        setTimeout(plugin.connect.bind(plugin, device, index), plugin.reconnectDelay)
+    function publishActionState(index, action, actionState) {
+        app.handleMessage(plugin.id, {
+            updates: [{
+                '$source': sourceLabel(index),
+                values: [{ path: `${controlPath(index)}.${action}`, value: actionState }]
+            }]
+        })
     }
 
-    plugin.statusMessage = () => {
-        return statusMessage
+    function outputContent(device) {
+        if (device.model && MODEL_PRESETS[device.model]) {
+            return MODEL_PRESETS[device.model]
+        }
+        const output = device.output || {}
+        return Object.keys(OUTPUT_CONTENT).filter(key => {
+            return output[key] !== undefined ? output[key] : OUTPUT_CONTENT[key].default
+        })
     }
 
-    plugin.stop = function () {
-        app.debug('plugin.stop')
-        if (plugin.serialPorts) {
-            plugin.serialPorts.forEach(serial => {
-                    serial.close()
-                }
-            )
-            plugin.serialPorts = []
+    function handlePacket(device, index, packet) {
+        const state = plugin.deviceStates[index]
+
+        if (packet.type === PACKET_TYPES.REGISTERS) {
+            if (state.link && state.link.handleRegisters) {
+                state.link.handleRegisters(packet.values, packet.register)
+            }
+            return
+        }
+
+        // the sensor may still be sending what it was configured for before
+        if (!state.output.has(packet.type)) {
+            return
         }
+
+        // a packet type already seen means the sensor started a new output cycle
+        if (state.cycle.has(packet.type)) {
+            publishSnapshot(device, index, state)
+            state.cycle.clear()
+        }
+        state.cycle.add(packet.type)
+        state.snapshot[packet.type] = packet
+
+        if (packet.type === PACKET_TYPES.MAG && state.magCalibration) {
+            state.magCalibration.addSample(packet.hx, packet.hy, packet.hz)
+        }
+    }
+
+    /**
+     * Publishes the packets received since the last cycle, when the end of
+     * the cycle is known (a poll of the sensor is complete).
+     */
+    function completeCycle(device, index) {
+        const state = plugin.deviceStates[index]
+        if (state.cycle.size > 0) {
+            publishSnapshot(device, index, state)
+            state.cycle.clear()
+        }
+    }
+
+    function publishSnapshot(device, index, state) {
+
+        const factRad = 0.0174532925199     // * pi/180
+
+        const snapshot = state.snapshot
+        const dt = cyclePeriod(device, state)
+        updateFusion(device, state, dt)
+        const motion = boatMotion(state)
+        const values = []
+        const gnss = device.gnss !== false
+        const fix = gnss && gnssFix(snapshot)
+
+        // the sensor clock is only trusted when set by a valid fix
+        if (state.cycle.has(PACKET_TYPES.TIME) && fix) {
+            const time = snapshot[PACKET_TYPES.TIME]
+            app.debug('time:', time)
+            values.push({
+                path: 'navigation.datetime',
+                value: time.year + '-' + pad(time.month, 2) + '-' + pad(time.day, 2) + 'T' + pad(time.hour, 2) + ':' + pad(time.minute, 2) + ':' + pad(time.second, 2) + '.' + pad(time.millisecond, 3) + 'Z'
+            })
+        }
+
+        if (state.cycle.has(PACKET_TYPES.ACC)) {
+            const acc = motion.acc
+            app.debug('acc:', acc)
+            values.push(
+                { path: 'navigation.acceleration.ax', value: acc.ax },
+                { path: 'navigation.acceleration.ay', value: acc.ay },
+                { path: 'navigation.acceleration.az', value: acc.az - 9.8 }
+            )
+            // combined packets carry no temperature
+            if (snapshot[PACKET_TYPES.ACC].temperature !== undefined) {
+                const temp = snapshot[PACKET_TYPES.ACC].temperature + 273.15 + device.tempOffset  // To Kelvin value
+                app.debug('(K) temp: ', temp)
+                values.push({ path: 'environment.inside.temperature', value: temp })
+            }
+        }
+
+        if (state.cycle.has(PACKET_TYPES.GYRO)) {
+            const gyro = motion.gyro
+            app.debug('gyro:', gyro)
+            values.push(
+                { path: 'navigation.angular_velocity.wx', value: gyro.wx },
+                { path: 'navigation.angular_velocity.wy', value: gyro.wy },
+                { path: 'navigation.angular_velocity.wz', value: gyro.wz }
+            )
+        }
+
+        if (motion.attitudeUpdated) {
+            const attitude = motion.attitude
+            const heading = headings(device, state, attitude.yaw)
+            app.debug('attitude:', attitude, '° hdm:', (heading.magnetic / factRad).toFixed(6))
+            state.compassHeading = heading.compass
+            updateSwing(device, index, state, heading.compass)
+            values.push(
+                { path: 'navigation.headingCompass', value: heading.compass },
+                { path: 'navigation.magneticDeviation', value: heading.deviation },
+                { path: 'navigation.headingMagnetic', value: heading.magnetic },
+                {
+                    path: 'navigation.headingTrue',
+                    value: plugin.variation !== null ? normalizeRadians(heading.magnetic + plugin.variation) : null
+                },
+                { path: 'navigation.attitude', value: attitude }
+            )
+        }
+
+        // combined and polled angle data carry no version
+        if (state.cycle.has(PACKET_TYPES.ANGLE) && snapshot[PACKET_TYPES.ANGLE].version !== undefined) {
+            values.push({ path: `${sensorPath(index)}.firmwareVersion`, value: snapshot[PACKET_TYPES.ANGLE].version })
+        }
+
+        if (state.cycle.has(PACKET_TYPES.GYRO)) {
+            const rateOfTurn = computeRateOfTurn(device, state, motion)
+            app.debug('(rad/s) rate of turn:', rateOfTurn)
+            values.push({ path: 'navigation.rateOfTurn', value: rateOfTurn })
+        }
+
+        if (state.seaState && state.cycle.has(PACKET_TYPES.ACC) && motion.attitudeUpdated) {
+            const heave = state.seaState.update(Date.now(), motion.acc, motion.attitude, dt)
+            values.push({ path: 'environment.heave', value: heave })
+
+            if (Date.now() - state.seaStatePublished >= SEA_STATE_INTERVAL) {
+                state.seaStatePublished = Date.now()
+                const waves = state.seaState.statistics()
+                app.debug('sea state:', waves)
+                if (waves) {
+                    values.push(
+                        { path: 'environment.water.waves.significantHeight', value: waves.significantHeight },
+                        { path: 'environment.water.waves.meanPeriod', value: waves.meanPeriod },
+                        { path: 'environment.water.waves.peakPeriod', value: waves.peakPeriod }
+                    )
+                }
+            }
+        }
+
+        if (state.cycle.has(PACKET_TYPES.MAG)) {
+            const mag = snapshot[PACKET_TYPES.MAG]
+            app.debug('mag:', mag)
+            values.push(
+                { path: `${magneticFieldPath(index)}.x`, value: mag.hx },
+                { path: `${magneticFieldPath(index)}.y`, value: mag.hy },
+                { path: `${magneticFieldPath(index)}.z`, value: mag.hz }
+            )
+
+            if (state.magCalibration && Date.now() - state.magCalibrationPublished >= 1000) {
+                state.magCalibrationPublished = Date.now()
+                publishMagCalibration(index, 'running', state.magCalibration.report())
+            }
+        }
+
+        if (state.cycle.has(PACKET_TYPES.PRESSURE)) {
+            const pressure = snapshot[PACKET_TYPES.PRESSURE]
+            app.debug('(Pa) Pressure:', pressure.pressure, '(m) Altitude:', pressure.height.toFixed(2))
+            values.push(
+                { path: 'environment.inside.pressure', value: pressure.pressure },
+                { path: `${sensorPath(index)}.pressureAltitude`, value: pressure.height }
+            )
+
+            if (state.barometer) {
+                state.barometer.update(pressure.pressure, Date.now())
+                if (Date.now() - state.barometerPublished >= BAROMETER_INTERVAL) {
+                    state.barometerPublished = Date.now()
+                    values.push(...barometerValues(index, state))
+                }
+            }
+        }
+
+        if (state.cycle.has(PACKET_TYPES.QUATERNION)) {
+            app.debug('quaternion:', motion.quaternion)
+            values.push({ path: `${sensorPath(index)}.quaternion`, value: motion.quaternion })
+        }
+
+        if (state.cycle.has(PACKET_TYPES.PORT)) {
+            const port = snapshot[PACKET_TYPES.PORT]
+            values.push({ path: `${sensorPath(index)}.portStatus`, value: { d0: port.d0, d1: port.d1, d2: port.d2, d3: port.d3 } })
+        }
+
+        if (state.fusionUpdated) {
+            const fused = motion.fusion
+            app.debug('fusion attitude:', fused.attitude, 'quaternion:', fused.quaternion)
+            values.push(
+                { path: `${fusionPath(index)}.attitude`, value: fused.attitude },
+                { path: `${fusionPath(index)}.headingMagnetic`, value: headings(device, state, fused.attitude.yaw).magnetic },
+                { path: `${fusionPath(index)}.quaternion`, value: fused.quaternion }
+            )
+        }
+
+        if (gnss && state.cycle.has(PACKET_TYPES.GPS_ACCURACY)) {
+            const accuracy = snapshot[PACKET_TYPES.GPS_ACCURACY]
+            app.debug('gps accuracy:', accuracy)
+            values.push(
+                { path: 'navigation.gnss.satellites', value: accuracy.satellites },
+                { path: 'navigation.gnss.methodQuality', value: fix ? 'GNSS Fix' : 'no GPS' },
+                { path: 'navigation.gnss.horizontalDilution', value: fix ? accuracy.hdop : null },
+                { path: 'navigation.gnss.positionDilution', value: fix ? accuracy.pdop : null },
+                { path: 'navigation.gnss.verticalDilution', value: fix ? accuracy.vdop : null }
+            )
+        }
+
+        if (gnss && state.cycle.has(PACKET_TYPES.GPS)) {
+            const gps = snapshot[PACKET_TYPES.GPS]
+            app.debug('(°) Latitude:', gps.latitude, '(°) Longitude:', gps.longitude, 'fix:', fix)
+            values.push({
+                path: 'navigation.position',
+                value: fix ? { latitude: gps.latitude, longitude: gps.longitude } : null
+            })
+        }
+
+        if (gnss && state.cycle.has(PACKET_TYPES.GROUND_SPEED)) {
+            const groundSpeed = snapshot[PACKET_TYPES.GROUND_SPEED]
+            app.debug('ground speed:', groundSpeed)
+            values.push(
+                { path: 'navigation.speedOverGround', value: fix ? groundSpeed.speed : null },
+                { path: 'navigation.courseOverGroundTrue', value: fix ? normalizeRadians(groundSpeed.yaw * factRad) : null },
+                { path: 'navigation.gnss.antennaAltitude', value: fix ? groundSpeed.height : null }
+            )
+        }
+
+        if (values.length === 0) {
+            return
+        }
+
+        const now = Date.now()
+        state.receiving = true
+        state.stale = false
+        state.lastCycle = now
+        state.cycles++
+        checkAlarms(index, state, motion, now)
+
+        // filtered values wait for the next publication, only the latest of each path is sent
+        values.forEach(value => {
+            const filtered = filterValue(state, value, now)
+            state.pendingValues.set(value.path, filtered)
+            state.latestValues.set(value.path, filtered.value)
+        })
+        sendNmea2000(device, state, values, now)
+        if (device.publishRate > 0 && now - state.lastPublished < 1000 / device.publishRate) {
+            return
+        }
+        state.lastPublished = now
+
+        //  send to SK on the mapped paths, the sensors.witN diagnostics are already unique to the device
+        const published = Array.from(state.pendingValues.values())
+            .map(value => {
+                const route = state.routes.get(value.path)
+                if (route) {
+                    return { path: route.path, value: value.value }
+                }
+                return value.path.startsWith(sensorPath(index) + '.') ? value : { path: dataPath(index, value.path), value: value.value }
+            })
+            .filter(value => value.path !== null)
+        state.pendingValues.clear()
+        if (published.length === 0) {
+            return
+        }
+        app.handleMessage(plugin.id, {
+            updates: [{
+                '$source': sourceLabel(index),
+                values: published
+            }]
+        })
+        published.forEach(value => state.publishedPaths.add(value.path))
+    }
+
+    /**
+     * The sensor does not report its fix quality: a position is taken as
+     * valid when it is not 0,0 and, when the accuracy packet is received,
+     * enough satellites are used for a 2D fix with a known dilution.
+     */
+    function gnssFix(snapshot) {
+        const gps = snapshot[PACKET_TYPES.GPS]
+        const accuracy = snapshot[PACKET_TYPES.GPS_ACCURACY]
+        if (!gps || (gps.latitude === 0 && gps.longitude === 0)) {
+            return false
+        }
+        return !accuracy || (accuracy.satellites >= MIN_FIX_SATELLITES && accuracy.hdop > 0)
+    }
+
+    /**
+     * Sends the enabled NMEA 0183 sentences, each at its own interval, from
+     * the latest values of the device: the sentences follow the filters but
+     * not the publish rate.
+     */
+    function startNmeaOutput(device, index) {
+        const options = device.nmea0183
+        if (!options || !options.enabled) {
+            return
+        }
+        const state = plugin.deviceStates[index]
+        const talker = (options.talker || 'II').toUpperCase()
+        SENTENCES.forEach(id => {
+            const interval = options[id.toLowerCase()]
+            if (interval > 0) {
+                state.nmeaTimers.push(setInterval(() => {
+                    const sentence = buildSentence(id, talker, state.latestValues, plugin.variation)
+                    if (sentence) {
+                        app.emit('nmea0183out', sentence)
+                    }
+                }, interval * 1000))
+            }
+        })
+    }
+
+    /**
+     * Sends the PGNs whose data was received in this cycle, no more often
+     * than their maximum rate. The SID ties the PGNs of a same cycle.
+     */
+    function sendNmea2000(device, state, values, now) {
+        const options = device.nmea2000
+        if (!options || !options.enabled) {
+            return
+        }
+        const updated = new Set(values.map(value => value.path))
+        Object.values(PGNS).forEach(pgn => {
+            const rate = options[`pgn${pgn}`]
+            if (!(rate > 0) || !pgnPaths(pgn).some(skPath => updated.has(skPath)) || now - (state.pgnSent[pgn] || 0) < 1000 / rate) {
+                return
+            }
+            const message = buildPgn(pgn, state.latestValues, {
+                sid: state.cycles % 253,
+                instance: options.instance || 0,
+                variation: plugin.variation
+            })
+            if (message) {
+                state.pgnSent[pgn] = now
+                app.emit('nmea2000JsonOut', message)
+            }
+        })
+    }
+
+    /**
+     * Barometer values, published at a slow pace: the tendency only changes
+     * over hours. A fast fall of the pressure raises a warning.
+     */
+    function barometerValues(index, state) {
+        const barometer = state.barometer
+        const tendency3h = barometer.tendency(3)
+        const trend = barometer.trend()
+        app.debug('(Pa) barometer:', barometer.pressure().toFixed(0), '3h tendency:', tendency3h, trend)
+
+        if (state.pressureDrop && tendency3h !== null) {
+            const drop = Math.max(0, -tendency3h / 100)
+            notify(index, 'environment.outside.pressure', state.pressureDrop.update(drop, Date.now()),
+                `pressure ${trend}, ${drop.toFixed(1)} hPa in 3 hours`)
+        }
+
+        return [
+            { path: 'environment.outside.pressure', value: barometer.pressure() },
+            { path: 'environment.outside.pressureTendency1h', value: barometer.tendency(1) },
+            { path: 'environment.outside.pressureTendency3h', value: tendency3h },
+            { path: 'environment.outside.pressureTrend', value: trend }
+        ]
+    }
+
+    /**
+     * Published path of each measurement, keyed by its default path: the
+     * mapped path, the default one under the device prefix, or null when
+     * the measurement is disabled.
+     */
+    function createRoutes(device, index) {
+        const mappings = (device.paths || []).reduce((result, mapping) => {
+            result[mapping.measurement] = mapping
+            return result
+        }, {})
+        const routes = new Map()
+        Object.keys(MEASUREMENTS).forEach(key => {
+            const measurement = MEASUREMENTS[key]
+            const mapping = mappings[key]
+            const defaultPath = measurement.sensor ? `${sensorPath(index)}.${measurement.path}` : measurement.path
+            const enabled = mapping ? mapping.enabled !== false : measurement.enabled !== false
+            let target = measurement.sensor ? defaultPath : dataPath(index, defaultPath)
+            if (mapping && mapping.path && mapping.path.trim()) {
+                target = mapping.path.trim()
+            }
+            routes.set(defaultPath, { key, path: enabled ? target : null })
+        })
+        return routes
+    }
+
+    function createAlarms(device) {
+        const options = device.alarms || {}
+        const zone = (warn, alarm, emergency) => warn > 0 || alarm > 0 || emergency > 0
+            ? createZoneMonitor({ warn, alarm, emergency, hysteresis: options.hysteresis, duration: options.duration })
+            : null
+        return {
+            heel: zone(options.heelWarn, options.heelAlarm, options.knockdown),
+            pitch: zone(options.pitchWarn, options.pitchAlarm),
+            suddenMotion: options.rollRate > 0 ? createSuddenMotionMonitor({ threshold: options.rollRate }) : null
+        }
+    }
+
+    /**
+     * Follows heel, pitch and roll rate on every data set, publication rate
+     * and filters aside, and notifies the level changes.
+     */
+    function checkAlarms(index, state, motion, time) {
+        const factDeg = 180 / Math.PI
+        const alarms = state.alarms
+
+        if (motion.attitudeUpdated) {
+            const heel = motion.attitude.roll * factDeg
+            const pitch = motion.attitude.pitch * factDeg
+            if (alarms.heel) {
+                notifyAttitude(index, 'heel', alarms.heel.update(heel, time), `heel ${Math.abs(heel).toFixed(0)}°`)
+            }
+            if (alarms.pitch) {
+                notifyAttitude(index, 'pitch', alarms.pitch.update(pitch, time), `pitch ${Math.abs(pitch).toFixed(0)}°`)
+            }
+        }
+
+        if (alarms.suddenMotion && state.cycle.has(PACKET_TYPES.GYRO)) {
+            const rollRate = motion.gyro.wx * factDeg
+            notifyAttitude(index, 'suddenMotion', alarms.suddenMotion.update(rollRate, time),
+                `roll rate ${Math.abs(rollRate).toFixed(0)}°/s`)
+        }
+    }
+
+    function notifyAttitude(index, name, level, message) {
+        notify(index, `navigation.attitude.${name}`, level, message)
+    }
+
+    function notify(index, skPath, level, message) {
+        if (level === undefined) {
+            return
+        }
+        app.debug(`${sourceLabel(index)} ${skPath}: ${level}`)
+        app.handleMessage(plugin.id, {
+            updates: [{
+                '$source': sourceLabel(index),
+                values: [{
+                    path: `notifications.${dataPath(index, skPath)}`,
+                    value: {
+                        state: level,
+                        method: level === 'normal' ? [] : level === 'warn' ? ['visual'] : ['visual', 'sound'],
+                        message: `${sourceLabel(index)}: ${message}${level === 'normal' ? ', back to normal' : ''}`
+                    }
+                }]
+            }]
+        })
+    }
+
+    function createFilters(device) {
+        return (device.filters || [])
+            .filter(config => filterablePaths.includes(config.path))
+            .reduce((filters, config) => {
+                filters[config.path] = { config, fields: {} }
+                return filters
+            }, {})
+    }
+
+    /**
+     * Runs a value through the filter configured for its path, field by
+     * field for objects such as the attitude. A null value resets the filter.
+     */
+    function filterValue(state, value, time) {
+        const filter = state.filters[value.path]
+        if (!filter) {
+            return value
+        }
+        if (value.value === null || value.value === undefined) {
+            Object.values(filter.fields).forEach(field => field.reset())
+            return value
+        }
+
+        const circular = circularPaths[value.path]
+        const push = (field, v) => {
+            if (!filter.fields[field]) {
+                filter.fields[field] = createFilter({
+                    type: filter.config.type,
+                    period: filter.config.period,
+                    circular: circular !== undefined
+                })
+            }
+            return filter.fields[field].push(v, time)
+        }
+
+        if (typeof value.value === 'number') {
+            const filtered = push('value', value.value)
+            return { path: value.path, value: circular === 'heading' ? normalizeRadians(filtered) : filtered }
+        }
+        const filtered = {}
+        Object.keys(value.value).forEach(key => {
+            filtered[key] = typeof value.value[key] === 'number' ? push(key, value.value[key]) : value.value[key]
+        })
+        return { path: value.path, value: filtered }
+    }
+
+    /**
+     * Sensor values in the boat frame (see lib/orientation.js), angles and
+     * angular velocity in rad.
+     */
+    function boatMotion(state) {
+        const factRad = Math.PI / 180
+        const snapshot = state.snapshot
+        const motion = {}
+
+        const acc = snapshot[PACKET_TYPES.ACC]
+        if (acc) {
+            const [ax, ay, az] = state.mounting.vector([acc.ax, acc.ay, acc.az])
+            motion.acc = { ax, ay, az }
+        }
+
+        const gyro = snapshot[PACKET_TYPES.GYRO]
+        if (gyro) {
+            const [wx, wy, wz] = state.mounting.vector([gyro.wx * factRad, gyro.wy * factRad, gyro.wz * factRad])
+            motion.gyro = { wx, wy, wz }
+        }
+
+        const angle = snapshot[PACKET_TYPES.ANGLE]
+        if (angle) {
+            motion.attitude = state.mounting.attitude({
+                roll: angle.roll * factRad,
+                pitch: angle.pitch * factRad,
+                yaw: angle.yaw * factRad
+            })
+        }
+
+        const quaternion = snapshot[PACKET_TYPES.QUATERNION]
+        if (quaternion) {
+            motion.quaternion = state.mounting.quaternion(quaternion)
+        }
+
+        if (state.ahrs && state.ahrs.attitude()) {
+            motion.fusion = {
+                attitude: state.mounting.attitude(state.ahrs.attitude()),
+                quaternion: state.mounting.quaternion(state.ahrs.quaternion())
+            }
+            if (state.fusionSource) {
+                motion.attitude = motion.fusion.attitude
+                motion.quaternion = motion.fusion.quaternion
+            }
+        }
+        motion.attitudeUpdated = state.fusionSource ? state.fusionUpdated : state.cycle.has(PACKET_TYPES.ANGLE)
+
+        return motion
+    }
+
+    /**
+     * Compass heading from the yaw and the heading offset, magnetic heading
+     * once corrected with the deviation table.
+     */
+    function headings(device, state, yaw) {
+        const compass = normalizeRadians(device.zOffset * Math.PI / 180 - yaw)
+        const deviation = state.deviation.deviation(compass)
+        return { compass, deviation, magnetic: normalizeRadians(compass + deviation) }
+    }
+
+    /**
+     * Time step of the cycle, s. Streaming sensors use their nominal return
+     * period, steadier than the arrival times of the serial chunks; polled
+     * sensors the time actually elapsed between two polls.
+     */
+    function cyclePeriod(device, state) {
+        const now = Date.now()
+        const period = 1 / configuredRate(device)
+        const elapsed = state.cycleTime !== null ? (now - state.cycleTime) / 1000 : period
+        state.cycleTime = now
+        return isModbus(device) && elapsed > 0 && elapsed < 5 * period ? elapsed : period
+    }
+
+    /**
+     * Feeds the fusion engine with the raw data of the cycle, integrated over
+     * the cycle period.
+     */
+    function updateFusion(device, state, dt) {
+        state.fusionUpdated = false
+        if (!state.ahrs || !state.cycle.has(PACKET_TYPES.ACC) || !state.cycle.has(PACKET_TYPES.GYRO)) {
+            return
+        }
+        const factRad = Math.PI / 180
+        const snapshot = state.snapshot
+        const acc = snapshot[PACKET_TYPES.ACC]
+        const gyro = snapshot[PACKET_TYPES.GYRO]
+        const mag = state.cycle.has(PACKET_TYPES.MAG) ? snapshot[PACKET_TYPES.MAG] : null
+
+        state.ahrs.update(
+            [gyro.wx * factRad, gyro.wy * factRad, gyro.wz * factRad],
+            [acc.ax, acc.ay, acc.az],
+            mag ? [mag.hx, mag.hy, mag.hz] : null,
+            dt
+        )
+        state.fusionUpdated = true
+    }
+
+    /**
+     * Rate of turn is the rate of change of heading: with the boat heeled the
+     * gyro Z axis is no longer vertical, so the body rates are projected on the
+     * earth vertical when the attitude is available. Positive turning to
+     * starboard, i.e. opposite to the boat z axis rotation.
+     */
+    function computeRateOfTurn(device, state, motion) {
+        const gyro = motion.gyro
+        const attitude = motion.attitude
+
+        let rate = gyro.wz
+        if (attitude) {
+            rate = (Math.sin(attitude.roll) * gyro.wy + Math.cos(attitude.roll) * gyro.wz) / Math.cos(attitude.pitch)
+        }
+        rate = -rate
+
+        const now = Date.now()
+        const timeConstant = device.rateOfTurnSmoothing || 0
+        if (timeConstant > 0 && state.rateOfTurn !== undefined) {
+            const alpha = 1 - Math.exp(-(now - state.rateOfTurnTime) / 1000 / timeConstant)
+            rate = state.rateOfTurn + alpha * (rate - state.rateOfTurn)
+        }
+        state.rateOfTurn = rate
+        state.rateOfTurnTime = now
+        return rate
+    }
+
+    /**
+     * Metadata of the measurements the device produces, on the paths they
+     * are published on.
+     */
+    function sendMeasurementMeta(device, index) {
+        const output = outputContent(device)
+        const fusion = !!(device.fusion && device.fusion.enabled)
+        const meta = []
+        plugin.deviceStates[index].routes.forEach(route => {
+            const measurement = MEASUREMENTS[route.key]
+            const produced = (output.includes(measurement.output) || (measurement.output === 'angle' && fusion)) &&
+                (!measurement.feature || (device[measurement.feature] && device[measurement.feature].enabled)) &&
+                (!measurement.gnss || device.gnss !== false)
+            if (route.path !== null && produced) {
+                meta.push({ path: route.path, value: measurementMeta(route.key) })
+            }
+        })
+        app.handleMessage(plugin.id, { updates: [{ meta }] })
+    }
+
+    function sendStatisticsMeta(index) {
+        const descriptions = isModbus(plugin.devices[index])
+            ? {
+                replies: 'Modbus replies received with a valid CRC',
+                badChecksums: 'Modbus replies discarded because of a wrong CRC',
+                timeouts: 'Modbus requests left without reply'
+            }
+            : {
+                goodFrames: 'Packets received with a valid checksum',
+                badChecksums: 'Packets discarded because of a wrong checksum',
+                resyncs: 'Times the decoder lost the packet framing',
+                bytesSkipped: 'Bytes discarded while searching for the next packet'
+            }
+        app.handleMessage(plugin.id, {
+            updates: [{
+                meta: Object.keys(descriptions).map(key => ({
+                    path: `${statisticsPath(index)}.${key}`,
+                    value: { description: descriptions[key] }
+                })).concat([{
+                    path: `${statisticsPath(index)}.dataRate`,
+                    value: { description: 'Measured rate of published data sets', units: 'Hz' }
+                }])
+            }]
+        })
+    }
+
+    function sendCalibrationMeta(index) {
+        app.handleMessage(plugin.id, {
+            updates: [{
+                meta: [
+                    {
+                        path: `${magCalibrationPath(index)}.progress`,
+                        value: { description: 'Heading circle covered by the running magnetic calibration', units: 'ratio' }
+                    },
+                    {
+                        path: `${magCalibrationPath(index)}.quality`,
+                        value: { description: 'Estimated quality of the magnetic calibration data', units: 'ratio' }
+                    },
+                    {
+                        path: `${swingPath(index)}.progress`,
+                        value: { description: 'Headings of the deviation table covered by the running compass swing', units: 'ratio' }
+                    }
+                ]
+            }]
+        })
+    }
+
+    function sendFusionMeta(index) {
+        app.handleMessage(plugin.id, {
+            updates: [{
+                meta: [
+                    {
+                        path: `${fusionPath(index)}.attitude`,
+                        value: { description: 'Attitude computed by the sensor fusion (roll, pitch, yaw)', units: 'rad' }
+                    },
+                    {
+                        path: `${fusionPath(index)}.headingMagnetic`,
+                        value: { description: 'Magnetic heading computed by the sensor fusion', units: 'rad' }
+                    },
+                    {
+                        path: `${fusionPath(index)}.quaternion`,
+                        value: { description: 'Orientation quaternion computed by the sensor fusion' }
+                    }
+                ]
+            }]
+        })
+    }
+
+    function publishStatistics() {
+        plugin.deviceStates.forEach((state, index) => {
+            const device = plugin.devices[index]
+            const bus = isModbus(device) ? plugin.buses[describeTransport(device)] : null
+            const stats = bus
+                ? (bus.master ? bus.master.stats(modbusAddress(device)) : { replies: 0, badChecksums: 0, timeouts: 0 })
+                : state.decoder.stats
+            const now = Date.now()
+            const dataRate = state.cycles / ((now - state.cyclesSince) / 1000)
+            state.cycles = 0
+            state.cyclesSince = now
+            app.handleMessage(plugin.id, {
+                updates: [{
+                    '$source': sourceLabel(index),
+                    values: Object.keys(stats).map(key => ({
+                        path: `${statisticsPath(index)}.${key}`,
+                        value: stats[key]
+                    })).concat([{ path: `${statisticsPath(index)}.dataRate`, value: dataRate }])
+                }]
+            })
+            if (!state.receiving) {
+                return
+            }
+            state.receiving = false
+            const rate = `${dataRate.toFixed(1)} Hz of ${configuredRate(device)} Hz configured`
+            let message = bus
+                ? `receiving data at ${rate} (${stats.replies} replies, ${stats.badChecksums} bad checksums, ${stats.timeouts} timeouts`
+                : `receiving data at ${rate} (${stats.goodFrames} frames, ${stats.badChecksums} bad checksums, ${stats.resyncs} resyncs, ${stats.bytesSkipped} bytes skipped`
+            if (state.magCalibration) {
+                message += `, magnetic calibration ${(state.magCalibration.report().progress * 100).toFixed(0)}%`
+            }
+            if (state.swing) {
+                message += `, compass swing ${(state.swing.report().progress * 100).toFixed(0)}%`
+            }
+            state.status = message + ')'
+            state.error = false
+        })
+        updateStatus()
+    }
+
+    function configuredRate(device) {
+        return parseFloat(device.freq) || 1
+    }
+
+    function staleTimeout(device) {
+        return device.staleTimeout > 0
+            ? device.staleTimeout * 1000
+            : Math.max(MIN_STALE_TIMEOUT, STALE_PERIODS * 1000 / configuredRate(device))
+    }
+
+    /**
+     * A device without data for longer than its stale timeout gets its last
+     * values replaced by null, so they do not sit in SignalK forever, and its
+     * port is reopened. The check runs again once the port is open. It waits
+     * while a register job runs, reopening would interrupt and restart it.
+     */
+    function checkWatchdog() {
+        plugin.deviceStates.forEach((state, index) => {
+            const device = plugin.devices[index]
+            if (state.stale || state.lastCycle === null || state.queue.isBusy()) {
+                return
+            }
+            const silence = Date.now() - state.lastCycle
+            if (silence < staleTimeout(device)) {
+                return
+            }
+            state.stale = true
+            publishNulls(index)
+            app.debug(`${sourceLabel(index)}: no data for ${silence} ms`)
+            if (reopen(device, index)) {
+                setDeviceStatus(index, `no data for ${(silence / 1000).toFixed(0)} s, reopening the port`, true)
+            }
+            else {
+                setDeviceStatus(index, `no data for ${(silence / 1000).toFixed(0)} s`, true)
+            }
+        })
+    }
+
+    function publishNulls(index) {
+        const state = plugin.deviceStates[index]
+        state.pendingValues.clear()
+        state.latestValues.clear()
+        if (state.publishedPaths.size === 0) {
+            return
+        }
+        app.handleMessage(plugin.id, {
+            updates: [{
+                '$source': sourceLabel(index),
+                values: Array.from(state.publishedPaths).map(skPath => ({ path: skPath, value: null }))
+            }]
+        })
+        state.publishedPaths.clear()
+    }
+
+    /**
+     * Closes the port of a stale device, the close event reconnects it. A
+     * Modbus bus is only reopened when none of its sensors answers. A replay,
+     * a listening transport, where the sensor connects or sends by itself,
+     * and a port already waiting to reconnect are left alone.
+     *
+     * @returns {boolean} whether the port is being reopened
+     */
+    function reopen(device, index) {
+        let owner = index
+        if (isModbus(device)) {
+            const bus = plugin.buses[describeTransport(device)]
+            if (!bus || bus.members.some(member => !plugin.deviceStates[member].stale)) {
+                return false
+            }
+            owner = bus.owner
+        }
+        const transport = plugin.transports[owner]
+        if (!transport || transport.isReplay || transport.isListening || plugin.deviceStates[owner].reconnectTimer) {
+            return false
+        }
+        transport.close(err => {
+            if (err) {
+                app.debug(`${sourceLabel(owner)}: close failed: ${err.message}`)
+            }
+        })
+        return true
+    }
+
+    /**
+     * Sets the status text of one device, the plugin status lists them all
+     * and turns to an error as long as one of them is in error.
+     */
+    function setDeviceStatus(index, message, error = false) {
+        const state = plugin.deviceStates[index]
+        state.status = message
+        state.error = error
+        updateStatus()
+    }
+
+    function updateStatus() {
+        const summary = plugin.deviceStates
+            .map((state, index) => `${sourceLabel(index)}: ${state.status}`)
+            .join('; ')
+        if (plugin.deviceStates.some(state => state.error)) {
+            setPluginError(summary)
+        }
+        else {
+            setPluginStatus(summary)
+        }
+    }
+
+    /**
+     * WIT.<name> when the device is named, WIT.<position> otherwise
+     */
+    function sourceLabel(index) {
+        const name = (plugin.devices[index].name || '').trim().replace(/[^\w-]+/g, '_')
+        return 'WIT.' + (name || (index + 1).toString())
+    }
+
+    /**
+     * Standard SignalK path as published by the device, under its prefix
+     */
+    function dataPath(index, skPath) {
+        const prefix = (plugin.devices[index].pathPrefix || '').trim().replace(/\.+$/, '')
+        return prefix ? `${prefix}.${skPath}` : skPath
+    }
+
+    function sensorPath(index) {
+        return `sensors.wit${index + 1}`
+    }
+
+    function statisticsPath(index) {
+        return `${sensorPath(index)}.communication`
+    }
+
+    function magneticFieldPath(index) {
+        return `${sensorPath(index)}.magneticField`
+    }
+
+    function fusionPath(index) {
+        return `${sensorPath(index)}.fusion`
+    }
+
+    function swingPath(index) {
+        return `${sensorPath(index)}.swing`
+    }
+
+    function magCalibrationPath(index) {
+        return `${sensorPath(index)}.magneticCalibration`
+    }
+
+    function controlPath(index) {
+        return `${sensorPath(index)}.control`
+    }
+
+    function normalizeRadians(value) {
+        return ((value % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)
+    }
+
+    function pad(value, length) {
+        return String(value).padStart(length, '0')
+    }
+
+    /**
+     * Reconnects a device after its port failed or closed, backing off up to
+     * a minute between attempts. Error and close events of the same failure
+     * only schedule one attempt.
+     */
+    function scheduleReconnect(device, index) {
+        const state = plugin.deviceStates[index]
+        if (state.stopped || state.reconnectTimer) {
+            return
+        }
+        state.reconnectDelay = Math.min(state.reconnectDelay * 1.5, MAX_RECONNECT_DELAY)
+        const msg = `not connected (retry in ${(state.reconnectDelay / 1000).toFixed(0)} s)`
+        console.log(`${sourceLabel(index)}: ${msg}`)
+        setDeviceStatus(index, msg, true)
+        state.reconnectTimer = setTimeout(() => {
+            state.reconnectTimer = null
+            plugin.connect(device, index)
+        }, state.reconnectDelay)
+    }
+
+    plugin.registerWithRouter = function (router) {
+
+        router.get('/devices', (req, res) => {
+            res.json((plugin.devices || []).map((device, index) => ({
+                id: index + 1,
+                source: sourceLabel(index),
+                transport: device.transport || 'serial',
+                protocol: isModbus(device) ? 'modbus' : 'wit',
+                usbDevice: device.usbDevice,
+                model: device.model || 'Custom',
+                connected: plugin.deviceStates[index].queue.isOpen(),
+                status: plugin.deviceStates[index].status,
+                lastData: plugin.deviceStates[index].lastData ? new Date(plugin.deviceStates[index].lastData).toISOString() : null,
+                reconnectDelay: plugin.deviceStates[index].reconnectDelay / 1000
+            })))
+        })
+
+        // deviation table in use and progress of a running swing
+        router.get('/devices/:device/deviation', withDevice({ connected: false }, (req, res, index) => {
+            const state = plugin.deviceStates[index]
+            res.json({
+                table: state.deviation.entries(),
+                swing: state.swing
+                    ? Object.assign({ reference: state.swingReference, table: state.swing.table() }, state.swing.report())
+                    : null
+            })
+        }))
+
+        // barometer readings and pressure history
+        router.get('/devices/:device/barometer', withDevice({ connected: false }, (req, res, index) => {
+            const barometer = plugin.deviceStates[index].barometer
+            if (!barometer) {
+                return res.status(404).json({ error: 'barometer not enabled' })
+            }
+            res.json({
+                pressure: barometer.pressure(),
+                tendency1h: barometer.tendency(1),
+                tendency3h: barometer.tendency(3),
+                trend: barometer.trend(),
+                history: barometer.history()
+            })
+        }))
+
+        // dump the whole register map
+        router.get('/devices/:device/registers', withDevice((req, res, index) => {
+            return dumpRegisters(index).then(dump => {
+                res.set('Content-Disposition', `attachment; filename="${sourceLabel(index)}-registers.json"`)
+                res.json(dump)
+            })
+        }))
+
+        // restore a dump, e.g. on a replacement sensor
+        router.put('/devices/:device/registers', withDevice((req, res, index) => {
+            return restoreRegisters(index, req.body).then(restored => res.json({ restored: restored }))
+        }))
+
+        router.get('/devices/:device/registers/:register', withDevice((req, res, index) => {
+            const register = parseRegister(req.params.register)
+            if (register === undefined) {
+                return res.status(400).json({ error: `invalid register ${req.params.register}` })
+            }
+            return plugin.deviceStates[index].queue.readRegister(register)
+                .then(values => res.json({ register: register, value: values[0], values: values }))
+        }))
+
+        router.put('/devices/:device/registers/:register', withDevice((req, res, index) => {
+            const register = parseRegister(req.params.register)
+            const value = req.body ? Number(req.body.value) : NaN
+            if (register === undefined) {
+                return res.status(400).json({ error: `invalid register ${req.params.register}` })
+            }
+            if (!Number.isInteger(value) || value < 0 || value > 0xFFFF) {
+                return res.status(400).json({ error: 'value must be an integer between 0 and 65535' })
+            }
+            return writeRegister(index, register, value, `register 0x${register.toString(16)} write`)
+                .then(() => res.json({ register: register, value: value }))
+        }))
+
+        // register routes need the sensor to answer, the others only the plugin state
+        function withDevice(options, handler) {
+            if (!handler) {
+                handler = options
+                options = {}
+            }
+            return (req, res) => {
+                const index = Number(req.params.device) - 1
+                if (!plugin.deviceStates || !plugin.deviceStates[index]) {
+                    return res.status(404).json({ error: `unknown device ${req.params.device}` })
+                }
+                if (options.connected !== false && !plugin.deviceStates[index].queue.isOpen()) {
+                    return res.status(503).json({ error: `${sourceLabel(index)} is not connected` })
+                }
+                Promise.resolve(handler(req, res, index)).catch(err => {
+                    res.status(500).json({ error: err.message })
+                })
+            }
+        }
+    }
+
+    async function dumpRegisters(index) {
+        const queue = plugin.deviceStates[index].queue
+        const values = {}
+
+        // every read returns four consecutive registers
+        for (const entry of REGISTER_MAP) {
+            if (values[entry.address] === undefined) {
+                const read = await queue.readRegister(entry.address)
+                read.forEach((value, i) => { values[entry.address + i] = value })
+            }
+        }
+
+        return {
+            device: plugin.devices[index].usbDevice,
+            model: plugin.devices[index].model || 'Custom',
+            date: new Date().toISOString(),
+            registers: REGISTER_MAP.reduce((registers, entry) => {
+                registers[entry.name] = {
+                    address: entry.address,
+                    description: entry.description,
+                    value: values[entry.address]
+                }
+                return registers
+            }, {})
+        }
+    }
+
+    async function restoreRegisters(index, dump) {
+        if (!dump || typeof dump.registers !== 'object') {
+            throw new Error('not a register dump')
+        }
+
+        const restored = []
+        for (const entry of REGISTER_MAP) {
+            const saved = dump.registers[entry.name]
+            if (entry.restore === false || !saved || !Number.isInteger(saved.value)) {
+                continue
+            }
+            await writeRegister(index, entry.address, saved.value, `${entry.name} restore`, { save: false })
+            restored.push(entry.name)
+        }
+        await plugin.deviceStates[index].queue.saveConfig()
+        return restored
+    }
+
+    plugin.statusMessage = () => {
+        return statusMessage
+    }
+
+    /**
+     * Left in calibration mode, the sensor heading stays wrong until it is
+     * recalibrated: the calibration is ended before the port is closed.
+     */
+    function endMagCalibration(state, index) {
+        if (!state.magCalibration || !state.queue.isOpen()) {
+            return Promise.resolve()
+        }
+        state.magCalibration = null
+        const label = sourceLabel(index)
+        let timer
+        return Promise.race([
+            state.queue.closeWith(REGISTERS.CALSW, CALIBRATION_MODES.NORMAL),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('no answer')), STOP_TIMEOUT)
+            })
+        ])
+            .catch(err => app.debug(`${label}: magnetic calibration not ended: ${err.message}`))
+            .then(() => clearTimeout(timer))
+    }
+
+    plugin.stop = function () {
+        app.debug('plugin.stop')
+        clearInterval(plugin.statisticsTimer)
+        clearInterval(plugin.watchdogTimer)
+        if (plugin.buses) {
+            Object.values(plugin.buses).forEach(bus => {
+                bus.open = false
+                clearTimeout(bus.pollTimer)
+            })
+            plugin.buses = {}
+        }
+        if (plugin.unsubscribes) {
+            plugin.unsubscribes.forEach(unsubscribe => unsubscribe())
+            plugin.unsubscribes = []
+        }
+        const states = plugin.deviceStates || []
+        const transports = plugin.transports || []
+        plugin.transports = []
+        states.forEach(state => {
+            state.stopped = true
+            clearTimeout(state.reconnectTimer)
+            clearTimeout(state.magCalibrationTimer)
+            state.nmeaTimers.forEach(timer => clearInterval(timer))
+        })
+
+        return Promise.all(states.map(endMagCalibration)).then(() => {
+            states.forEach(state => {
+                if (state.barometer) {
+                    state.barometer.close()
+                }
+                state.queue.close()
+                if (state.recorder) {
+                    state.recorder.close()
+                }
+            })
+            transports.forEach(transport => transport.close())
+        })
     }
 
     return plugin
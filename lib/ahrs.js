@@ -0,0 +1,209 @@
+/**
+ * AHRS sensor fusion
+ *
+ * Estimates the attitude from the raw acceleration, angular velocity and
+ * magnetic field, independently of the sensor's own angle output:
+ * - madgwick: gradient descent correction of the gyro integration, gain beta
+ * - mahony: complementary filter with proportional and integral gains
+ *
+ * Both work in the sensor frame and use the convention of orientation.js:
+ * the quaternion rotates sensor vectors to the earth frame (x north, z up).
+ * Without magnetic field the heading is only integrated from the gyro.
+ */
+
+const { eulerToMatrix, matrixToEuler, matrixToQuaternion, quaternionToMatrix } = require('./orientation')
+
+const ALGORITHMS = ["madgwick", "mahony"]
+const DEFAULT_GAINS = {
+    madgwick: 0.1,
+    mahony: 1
+}
+
+function norm(v) {
+    return Math.sqrt(v.reduce((sum, x) => sum + x * x, 0))
+}
+
+function normalize(v) {
+    const n = norm(v)
+    return n > 0 ? v.map(x => x / n) : null
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ]
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+}
+
+/**
+ * Horizontal and vertical components of the magnetic field in the earth
+ * frame, as seen with the current attitude: the reference the magnetometer
+ * is compared with, free of the local inclination.
+ */
+function earthField(matrix, mag) {
+    const h = matrix.map(row => dot(row, mag))
+    return [Math.sqrt(h[0] * h[0] + h[1] * h[1]), h[2]]
+}
+
+/**
+ * Attitude from a single acceleration (gravity) and magnetic field sample,
+ * used to start the filter without waiting for it to converge.
+ */
+function initialAttitude(acc, mag) {
+    const roll = Math.atan2(acc[1], acc[2])
+    const pitch = Math.atan2(-acc[0], Math.sqrt(acc[1] * acc[1] + acc[2] * acc[2]))
+    let yaw = 0
+    if (mag) {
+        const level = eulerToMatrix(roll, pitch, 0).map(row => dot(row, mag))
+        yaw = Math.atan2(-level[1], level[0])
+    }
+    return { roll, pitch, yaw }
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.algorithm=madgwick] one of ALGORITHMS
+ * @param {number} [options.gain] madgwick beta or mahony proportional gain
+ * @param {number} [options.integralGain=0] mahony only
+ * @returns {{update: function, quaternion: function, attitude: function}}
+ */
+function createAhrs(options = {}) {
+    const algorithm = ALGORITHMS.includes(options.algorithm) ? options.algorithm : 'madgwick'
+    const gain = options.gain > 0 ? options.gain : DEFAULT_GAINS[algorithm]
+    const integralGain = options.integralGain || 0
+    let q = null
+    let integral = [0, 0, 0]
+
+    function current() {
+        return { q0: q[0], q1: q[1], q2: q[2], q3: q[3] }
+    }
+
+    /**
+     * Madgwick's objective function gradient, J^T f, for gravity and, when
+     * available, the magnetic field.
+     */
+    function madgwickStep(acc, mag) {
+        const [q0, q1, q2, q3] = q
+        const fg = [
+            2 * (q1 * q3 - q0 * q2) - acc[0],
+            2 * (q0 * q1 + q2 * q3) - acc[1],
+            2 * (0.5 - q1 * q1 - q2 * q2) - acc[2]
+        ]
+        const jg = [
+            [-2 * q2, 2 * q3, -2 * q0, 2 * q1],
+            [2 * q1, 2 * q0, 2 * q3, 2 * q2],
+            [0, -4 * q1, -4 * q2, 0]
+        ]
+        const step = [0, 1, 2, 3].map(i => jg[0][i] * fg[0] + jg[1][i] * fg[1] + jg[2][i] * fg[2])
+
+        if (mag) {
+            const [bx, bz] = earthField(quaternionToMatrix(current()), mag)
+            const fb = [
+                2 * bx * (0.5 - q2 * q2 - q3 * q3) + 2 * bz * (q1 * q3 - q0 * q2) - mag[0],
+                2 * bx * (q1 * q2 - q0 * q3) + 2 * bz * (q0 * q1 + q2 * q3) - mag[1],
+                2 * bx * (q0 * q2 + q1 * q3) + 2 * bz * (0.5 - q1 * q1 - q2 * q2) - mag[2]
+            ]
+            const jb = [
+                [-2 * bz * q2, 2 * bz * q3, -4 * bx * q2 - 2 * bz * q0, -4 * bx * q3 + 2 * bz * q1],
+                [-2 * bx * q3 + 2 * bz * q1, 2 * bx * q2 + 2 * bz * q0, 2 * bx * q1 + 2 * bz * q3, -2 * bx * q0 + 2 * bz * q2],
+                [2 * bx * q2, 2 * bx * q3 - 4 * bz * q1, 2 * bx * q0 - 4 * bz * q2, 2 * bx * q1]
+            ]
+            for (let i = 0; i < 4; i++) {
+                step[i] += jb[0][i] * fb[0] + jb[1][i] * fb[1] + jb[2][i] * fb[2]
+            }
+        }
+        return normalize(step)
+    }
+
+    /**
+     * Mahony's correction: the cross product between measured and estimated
+     * directions of gravity and magnetic field, added to the angular velocity.
+     */
+    function mahonyCorrection(acc, mag, dt) {
+        const matrix = quaternionToMatrix(current())
+        // estimated directions in the sensor frame: R^T applied to the earth references
+        const column = i => [matrix[0][i], matrix[1][i], matrix[2][i]]
+        const toSensor = v => [dot(column(0), v), dot(column(1), v), dot(column(2), v)]
+
+        let error = cross(acc, toSensor([0, 0, 1]))
+        if (mag) {
+            const [bx, bz] = earthField(matrix, mag)
+            const magError = cross(mag, toSensor([bx, 0, bz]))
+            error = error.map((e, i) => e + magError[i])
+        }
+        if (integralGain > 0) {
+            integral = integral.map((value, i) => value + integralGain * error[i] * dt)
+        }
+        return error.map((e, i) => gain * e + integral[i])
+    }
+
+    /**
+     * @param {number[]} gyro angular velocity, rad/s, sensor frame
+     * @param {number[]} acc acceleration, any unit, sensor frame
+     * @param {number[]|null} mag magnetic field, any unit, sensor frame
+     * @param {number} dt s since the previous update
+     */
+    function update(gyro, acc, mag, dt) {
+        const a = normalize(acc)
+        const m = mag ? normalize(mag) : null
+        if (!q) {
+            if (!a) {
+                return
+            }
+            const start = initialAttitude(a, m)
+            const init = matrixToQuaternion(eulerToMatrix(start.roll, start.pitch, start.yaw))
+            q = [init.q0, init.q1, init.q2, init.q3]
+            return
+        }
+
+        let w = gyro
+        let correction = null
+        if (a && algorithm === 'mahony') {
+            const c = mahonyCorrection(a, m, dt)
+            w = gyro.map((value, i) => value + c[i])
+        }
+        else if (a) {
+            correction = madgwickStep(a, m)
+        }
+
+        const [q0, q1, q2, q3] = q
+        const qDot = [
+            0.5 * (-q1 * w[0] - q2 * w[1] - q3 * w[2]),
+            0.5 * (q0 * w[0] + q2 * w[2] - q3 * w[1]),
+            0.5 * (q0 * w[1] - q1 * w[2] + q3 * w[0]),
+            0.5 * (q0 * w[2] + q1 * w[1] - q2 * w[0])
+        ]
+        if (correction) {
+            for (let i = 0; i < 4; i++) {
+                qDot[i] -= gain * correction[i]
+            }
+        }
+        q = normalize(q.map((value, i) => value + qDot[i] * dt)) || q
+    }
+
+    /**
+     * @returns {{q0: number, q1: number, q2: number, q3: number}|null} null until the first update
+     */
+    function quaternion() {
+        return q ? current() : null
+    }
+
+    /**
+     * @returns {{roll: number, pitch: number, yaw: number}|null} rad, sensor frame
+     */
+    function attitude() {
+        return q ? matrixToEuler(quaternionToMatrix(current())) : null
+    }
+
+    return { update, quaternion, attitude }
+}
+
+module.exports = {
+    ALGORITHMS,
+    createAhrs
+}
@@ -0,0 +1,115 @@
+/**
+ * Attitude alarm zones
+ *
+ * A zone monitor follows the absolute value of an angle against warn, alarm
+ * and emergency thresholds. A higher level is only entered once the value
+ * has stayed above its threshold for the minimum duration (emergency is
+ * immediate), a lower level as soon as the value drops below the threshold
+ * minus the hysteresis.
+ */
+
+const LEVELS = ['normal', 'warn', 'alarm', 'emergency']
+
+/**
+ * @param {object} options thresholds, 0 or undefined to disable a level
+ * @param {number} [options.warn]
+ * @param {number} [options.alarm]
+ * @param {number} [options.emergency]
+ * @param {number} [options.hysteresis=0]
+ * @param {number} [options.duration=0] s
+ * @returns {{update: function(number, number): (string|undefined), level: function(): string}}
+ */
+function createZoneMonitor(options = {}) {
+    const thresholds = [options.warn, options.alarm, options.emergency]
+    const hysteresis = options.hysteresis || 0
+    const duration = (options.duration || 0) * 1000
+    let current = 0
+    let raisingSince = null
+
+    function target(value) {
+        let level = 0
+        thresholds.forEach((threshold, i) => {
+            if (threshold > 0 && value >= threshold - (current > i ? hysteresis : 0)) {
+                level = i + 1
+            }
+        })
+        return level
+    }
+
+    /**
+     * @param {number} value
+     * @param {number} time ms
+     * @returns {string|undefined} the new level when it changed
+     */
+    function update(value, time) {
+        const level = target(Math.abs(value))
+
+        if (level > current) {
+            if (raisingSince === null) {
+                raisingSince = time
+            }
+            if (level === LEVELS.length - 1 || time - raisingSince >= duration) {
+                current = level
+                raisingSince = null
+                return LEVELS[current]
+            }
+            return undefined
+        }
+
+        raisingSince = null
+        if (level < current) {
+            current = level
+            return LEVELS[current]
+        }
+        return undefined
+    }
+
+    function level() {
+        return LEVELS[current]
+    }
+
+    return { update, level }
+}
+
+/**
+ * Sudden motion: raised as soon as the value exceeds the threshold, cleared
+ * once it has stayed below for the hold time.
+ *
+ * @param {object} options
+ * @param {number} options.threshold
+ * @param {number} [options.hold=10] s
+ * @returns {{update: function(number, number): (string|undefined), level: function(): string}}
+ */
+function createSuddenMotionMonitor(options) {
+    const hold = (options.hold !== undefined ? options.hold : 10) * 1000
+    let active = false
+    let lastExceeded = null
+
+    function update(value, time) {
+        if (Math.abs(value) >= options.threshold) {
+            lastExceeded = time
+            if (!active) {
+                active = true
+                return 'alarm'
+            }
+            return undefined
+        }
+        if (active && time - lastExceeded >= hold) {
+            active = false
+            return 'normal'
+        }
+        return undefined
+    }
+
+    function level() {
+        return active ? 'alarm' : 'normal'
+    }
+
+    return { update, level }
+}
+
+module.exports = {
+    LEVELS,
+    createZoneMonitor,
+    createSuddenMotionMonitor
+}
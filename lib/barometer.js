@@ -0,0 +1,182 @@
+/**
+ * Barometer
+ *
+ * Smooths the pressure reading, optionally reduces it to sea level, and keeps
+ * a 48 hour history (one sample every 5 minutes) from which the 1 and 3 hour
+ * tendencies are computed. The history is saved to a JSON file so that the
+ * tendency survives a restart.
+ *
+ * The trend is classified from the 3 hour tendency as in marine forecasts:
+ * steady below 0.1 hPa, then slowly up to 1.5 hPa, plain up to 3.5 hPa,
+ * quickly up to 6 hPa and very rapidly beyond.
+ */
+
+const fs = require('fs')
+const { createFilter } = require('./filters')
+
+const HISTORY_INTERVAL = 5 * 60 * 1000     // ms between two history samples
+const HISTORY_LENGTH = 48 * 3600 * 1000    // ms
+const MAX_GAP = 3 * HISTORY_INTERVAL       // ms, longer gaps are not interpolated
+const TRENDS = [
+    { limit: 10, name: 'steady' },
+    { limit: 150, name: 'slowly' },
+    { limit: 350, name: '' },
+    { limit: 600, name: 'quickly' },
+    { limit: Infinity, name: 'very rapidly' }
+]
+
+/**
+ * Standard atmosphere reduction to sea level.
+ *
+ * @param {number} pressure Pa
+ * @param {number} elevation m above sea level
+ * @returns {number} Pa
+ */
+function seaLevelPressure(pressure, elevation) {
+    return elevation ? pressure / Math.pow(1 - 2.25577e-5 * elevation, 5.25588) : pressure
+}
+
+/**
+ * @param {number} change Pa over 3 hours
+ * @returns {string} e.g. 'steady', 'falling', 'rising quickly'
+ */
+function classifyTrend(change) {
+    const trend = TRENDS.find(entry => Math.abs(change) < entry.limit)
+    if (trend.name === 'steady') {
+        return trend.name
+    }
+    return `${change > 0 ? 'rising' : 'falling'}${trend.name ? ' ' + trend.name : ''}`
+}
+
+function load(file) {
+    try {
+        const samples = JSON.parse(fs.readFileSync(file, 'utf8'))
+        return Array.isArray(samples) ? samples.filter(sample => Number.isFinite(sample.t) && Number.isFinite(sample.p)) : []
+    }
+    catch (err) {
+        return []
+    }
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.smoothing=0] s, low-pass time constant, 0 to disable
+ * @param {number} [options.elevation=0] m above sea level, 0 to keep the station pressure
+ * @param {string} [options.file] history file
+ * @param {function} [options.debug]
+ * @returns {{update: function, pressure: function, tendency: function, trend: function, history: function, close: function}}
+ */
+function createBarometer(options = {}) {
+    const debug = options.debug || (() => {})
+    const elevation = options.elevation || 0
+    const filter = options.smoothing > 0 ? createFilter({ type: 'low-pass', period: options.smoothing }) : null
+    let samples = options.file ? load(options.file) : []
+    let current = null
+    let saving = false
+
+    function save() {
+        if (!options.file || saving) {
+            return
+        }
+        saving = true
+        const temporary = `${options.file}.tmp`
+        fs.writeFile(temporary, JSON.stringify(samples), err => {
+            if (err) {
+                saving = false
+                debug(`pressure history not saved: ${err.message}`)
+                return
+            }
+            fs.rename(temporary, options.file, err => {
+                saving = false
+                if (err) {
+                    debug(`pressure history not saved: ${err.message}`)
+                }
+            })
+        })
+    }
+
+    /**
+     * @param {number} pressure Pa, as measured
+     * @param {number} time ms
+     * @returns {number} smoothed and reduced pressure, Pa
+     */
+    function update(pressure, time) {
+        const reduced = seaLevelPressure(pressure, elevation)
+        current = { t: time, p: filter ? filter.push(reduced, time) : reduced }
+
+        const last = samples[samples.length - 1]
+        if (!last || time - last.t >= HISTORY_INTERVAL || time < last.t) {
+            samples = samples.filter(sample => sample.t > time - HISTORY_LENGTH && sample.t < time)
+            samples.push({ t: time, p: Math.round(current.p) })
+            save()
+        }
+        return current.p
+    }
+
+    function pressure() {
+        return current ? current.p : null
+    }
+
+    // history value at a past time, null where the history has a hole
+    function valueAt(time) {
+        const after = samples.findIndex(sample => sample.t >= time)
+        if (after === -1) {
+            return null
+        }
+        const next = samples[after]
+        if (next.t === time) {
+            return next.p
+        }
+        const previous = samples[after - 1]
+        if (!previous || next.t - previous.t > MAX_GAP) {
+            return null
+        }
+        return previous.p + (next.p - previous.p) * (time - previous.t) / (next.t - previous.t)
+    }
+
+    /**
+     * @param {number} hours
+     * @returns {number|null} Pa, pressure change over the last hours, null while the history is too short
+     */
+    function tendency(hours) {
+        if (!current) {
+            return null
+        }
+        const past = valueAt(current.t - hours * 3600 * 1000)
+        return past === null ? null : current.p - past
+    }
+
+    /**
+     * @returns {string|null} classified 3 hour tendency
+     */
+    function trend() {
+        const change = tendency(3)
+        return change === null ? null : classifyTrend(change)
+    }
+
+    /**
+     * @returns {{t: number, p: number}[]} ms and Pa
+     */
+    function history() {
+        return samples.slice()
+    }
+
+    function close() {
+        if (options.file && samples.length > 0) {
+            try {
+                fs.writeFileSync(options.file, JSON.stringify(samples))
+            }
+            catch (err) {
+                debug(`pressure history not saved: ${err.message}`)
+            }
+        }
+    }
+
+    return { update, pressure, tendency, trend, history, close }
+}
+
+module.exports = {
+    seaLevelPressure,
+    classifyTrend,
+    createBarometer
+}
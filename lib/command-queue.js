@@ -0,0 +1,259 @@
+/**
+ * Per device command queue
+ *
+ * Register writes are serialised as unlock -> write -> read back -> save and
+ * only run while the port is open. A write whose read back value does not
+ * match is retried; a job interrupted by the port closing is run again from
+ * the start once the port is reopened.
+ *
+ * The queue talks to the sensor through a link, hiding the protocol:
+ * - writeRegister(register, value): Promise
+ * - readRegisters(register): Promise<number[]>, the registers starting there
+ * - close(): optional, fails what is still waiting for the sensor
+ */
+
+const { REGISTERS } = require('./wit-protocol')
+
+const COMMAND_DELAY = 200   // ms between two commands sent to the sensor
+const START_DELAY = 1000    // ms after the port is opened
+const RETRIES = 2
+
+function hex(value) {
+    return '0x' + value.toString(16).toUpperCase().padStart(2, '0')
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * @param {{debug: function}} options
+ * @returns {object} the queue
+ */
+function createCommandQueue(options = {}) {
+    const debug = options.debug || (() => {})
+    const retries = options.retries !== undefined ? options.retries : RETRIES
+    const jobs = []
+    let link = null
+    let running = false
+    let generation = 0
+
+    /**
+     * Starts processing the queue on a freshly opened port.
+     *
+     * @param {object} sensorLink see above
+     */
+    function open(sensorLink) {
+        link = sensorLink
+        const current = ++generation
+        setTimeout(() => {
+            if (current === generation) {
+                run()
+            }
+        }, START_DELAY)
+    }
+
+    function close() {
+        const closing = link
+        link = null
+        generation++
+        if (closing && closing.close) {
+            closing.close()
+        }
+    }
+
+    function isOpen() {
+        return link !== null
+    }
+
+    // a job is talking to the sensor
+    function isBusy() {
+        return running
+    }
+
+    function current() {
+        if (!link) {
+            throw new Error('port closed')
+        }
+        return link
+    }
+
+    async function send(register, value) {
+        await current().writeRegister(register, value)
+    }
+
+    async function unlock() {
+        await send(REGISTERS.KEY, 0xB588)
+        await sleep(COMMAND_DELAY)
+    }
+
+    function readRegisters(register) {
+        try {
+            return current().readRegisters(register)
+        }
+        catch (err) {
+            return Promise.reject(err)
+        }
+    }
+
+    async function run() {
+        if (running) {
+            return
+        }
+        running = true
+        while (jobs.length > 0 && link) {
+            const job = jobs[0]
+            try {
+                const result = await attempt(job)
+                jobs.shift()
+                job.resolve(result)
+            }
+            catch (err) {
+                if (!link) {
+                    debug(`${job.description} interrupted, will be retried: ${err.message}`)
+                    break
+                }
+                jobs.shift()
+                job.reject(err)
+            }
+        }
+        running = false
+    }
+
+    async function attempt(job) {
+        let lastError
+        for (let i = 0; i <= job.retries; i++) {
+            try {
+                return await job.execute()
+            }
+            catch (err) {
+                lastError = err
+                if (!link) {
+                    throw err
+                }
+                debug(`${job.description} failed (attempt ${i + 1}): ${err.message}`)
+            }
+        }
+        throw lastError
+    }
+
+    function enqueue(description, execute, jobRetries) {
+        return new Promise((resolve, reject) => {
+            jobs.push({
+                description,
+                execute,
+                retries: jobRetries !== undefined ? jobRetries : retries,
+                resolve,
+                reject
+            })
+            if (link) {
+                run()
+            }
+        })
+    }
+
+    /**
+     * Queues a register write.
+     *
+     * @param {number} register
+     * @param {number} value
+     * @param {object} [writeOptions]
+     * @param {boolean} [writeOptions.verify=true] read the register back and compare
+     * @param {boolean} [writeOptions.save=true] save the configuration afterwards
+     * @param {number} [writeOptions.settle] ms to wait after the write
+     * @param {string} [writeOptions.description]
+     * @returns {Promise<number|undefined>} the read back value
+     */
+    function writeRegister(register, value, writeOptions = {}) {
+        const verify = writeOptions.verify !== false
+        const save = writeOptions.save !== false
+        const description = writeOptions.description || `write ${hex(value)} to register ${hex(register)}`
+
+        return enqueue(description, async () => {
+            await unlock()
+            await send(register, value)
+            debug('command sent:', description)
+            await sleep(writeOptions.settle || COMMAND_DELAY)
+
+            let readBack
+            if (verify) {
+                readBack = (await readRegisters(register))[0]
+                if (readBack !== value) {
+                    throw new Error(`register ${hex(register)} reads ${hex(readBack)} instead of ${hex(value)}`)
+                }
+            }
+
+            if (save) {
+                await unlock()
+                await send(REGISTERS.SAVE, 0x0000)
+                await sleep(COMMAND_DELAY)
+                debug('WIT config saved:', description)
+            }
+            return readBack
+        })
+    }
+
+    /**
+     * Queues a configuration save.
+     *
+     * @returns {Promise}
+     */
+    function saveConfig() {
+        return enqueue('save configuration', async () => {
+            await unlock()
+            await send(REGISTERS.SAVE, 0x0000)
+            await sleep(COMMAND_DELAY)
+            debug('WIT config saved')
+        })
+    }
+
+    /**
+     * Closes the queue with a last register write, sent right away: the
+     * jobs still queued stop talking to the sensor, which is unlocked before
+     * the write as usual. Nothing is read back or saved.
+     *
+     * @param {number} register
+     * @param {number} value
+     * @returns {Promise} resolved once the write has been sent
+     */
+    async function closeWith(register, value) {
+        const last = current()
+        link = null
+        generation++
+        try {
+            await last.writeRegister(REGISTERS.KEY, 0xB588)
+            await sleep(COMMAND_DELAY)
+            await last.writeRegister(register, value)
+        }
+        finally {
+            if (last.close) {
+                last.close()
+            }
+        }
+    }
+
+    /**
+     * Queues a read of four consecutive registers starting at register.
+     *
+     * @param {number} register
+     * @returns {Promise<number[]>}
+     */
+    function readRegister(register) {
+        return enqueue(`read register ${hex(register)}`, () => readRegisters(register))
+    }
+
+    return {
+        open,
+        close,
+        isOpen,
+        isBusy,
+        writeRegister,
+        closeWith,
+        readRegister,
+        saveConfig
+    }
+}
+
+module.exports = {
+    createCommandQueue
+}
@@ -0,0 +1,177 @@
+/**
+ * Compass deviation
+ *
+ * The deviation table holds the deviation measured at a few compass
+ * headings, degrees east positive (magnetic = compass + deviation), and is
+ * interpolated linearly around the circle in between.
+ *
+ * A swing builds the table: the boat is turned through all headings while
+ * the compass heading is compared with a reference magnetic bearing, either
+ * the GPS course over ground at steady speed and heading or bearings taken
+ * manually on transits. The differences are averaged per heading sector.
+ */
+
+const DEFAULT_POINTS = 12       // 30° sectors
+const STEADY_TIME = 5000        // ms of steady heading before a reference sample is accepted
+const STEADY_SPREAD = 3         // ° of heading and reference change allowed meanwhile
+
+const factRad = Math.PI / 180
+
+function wrap180(angle) {
+    return ((angle % 360) + 540) % 360 - 180
+}
+
+function wrap360(angle) {
+    return ((angle % 360) + 360) % 360
+}
+
+/**
+ * @param {{heading: number, deviation: number}[]} [entries] degrees
+ * @returns {{deviation: function(number): number, entries: function(): object[]}}
+ */
+function createDeviationTable(entries = []) {
+    const table = entries
+        .filter(entry => Number.isFinite(entry.heading) && Number.isFinite(entry.deviation))
+        .map(entry => ({ heading: wrap360(entry.heading), deviation: entry.deviation }))
+        .sort((a, b) => a.heading - b.heading)
+
+    /**
+     * @param {number} heading compass heading, rad
+     * @returns {number} deviation, rad, 0 without table
+     */
+    function deviation(heading) {
+        if (table.length === 0) {
+            return 0
+        }
+        if (table.length === 1) {
+            return table[0].deviation * factRad
+        }
+        const h = wrap360(heading / factRad)
+        let next = table.findIndex(entry => entry.heading >= h)
+        if (next === -1) {
+            next = 0
+        }
+        const previous = (next - 1 + table.length) % table.length
+        const from = table[previous]
+        const to = table[next]
+        const span = wrap360(to.heading - from.heading) || 360
+        const ratio = wrap360(h - from.heading) / span
+        return (from.deviation + ratio * (to.deviation - from.deviation)) * factRad
+    }
+
+    return { deviation, entries: () => table.map(entry => Object.assign({}, entry)) }
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.points=12] headings of the resulting table
+ * @returns {{addReference: function, addBearing: function, report: function, table: function, sector: function}}
+ */
+function createSwing(options = {}) {
+    const points = options.points >= 4 ? Math.round(options.points) : DEFAULT_POINTS
+    const sectorSize = 360 / points
+    const sectors = Array.from({ length: points }, () => ({ samples: 0, sin: 0, cos: 0, deviation: 0 }))
+    let steady = []
+
+    function sectorOf(heading) {
+        return Math.round(wrap360(heading) / sectorSize) % points
+    }
+
+    function addSample(heading, deviation) {
+        const sector = sectors[sectorOf(heading)]
+        sector.samples++
+        sector.sin += Math.sin(heading * factRad)
+        sector.cos += Math.cos(heading * factRad)
+        sector.deviation += deviation
+    }
+
+    /**
+     * Continuous reference (GPS course): only accepted once heading and
+     * reference have been steady for a while, the average of that period
+     * making the sample.
+     *
+     * @param {number} heading compass heading, rad
+     * @param {number} reference magnetic bearing, rad
+     * @param {number} time ms
+     * @returns {boolean} a sample was accepted
+     */
+    function addReference(heading, reference, time) {
+        steady.push({ time, heading: heading / factRad, reference: reference / factRad })
+        const first = steady[0]
+        const spread = key => Math.max(...steady.map(sample => Math.abs(wrap180(sample[key] - first[key]))))
+        if (spread('heading') > STEADY_SPREAD || spread('reference') > STEADY_SPREAD) {
+            steady = [steady[steady.length - 1]]
+            return false
+        }
+        if (time - first.time < STEADY_TIME) {
+            return false
+        }
+        const mean = key => first[key] + steady.reduce((sum, sample) => sum + wrap180(sample[key] - first[key]), 0) / steady.length
+        addSample(mean('heading'), wrap180(mean('reference') - mean('heading')))
+        steady = []
+        return true
+    }
+
+    /**
+     * Manual bearing, taken while the boat holds its heading.
+     *
+     * @param {number} heading compass heading, rad
+     * @param {number} bearing magnetic bearing, rad
+     */
+    function addBearing(heading, bearing) {
+        addSample(heading / factRad, wrap180((bearing - heading) / factRad))
+    }
+
+    /**
+     * @returns {{heading: number, deviation: number}[]} degrees, one entry per visited sector
+     */
+    function table() {
+        return sectors.filter(sector => sector.samples > 0).map(sector => ({
+            heading: Math.round(wrap360(Math.atan2(sector.sin, sector.cos) / factRad) * 10) / 10,
+            deviation: Math.round(sector.deviation / sector.samples * 10) / 10
+        }))
+    }
+
+    /**
+     * @returns {{samples: number, progress: number}} progress: ratio of sectors visited
+     */
+    function report() {
+        return {
+            samples: sectors.reduce((sum, sector) => sum + sector.samples, 0),
+            progress: sectors.filter(sector => sector.samples > 0).length / points
+        }
+    }
+
+    /**
+     * @param {number} heading compass heading, rad
+     * @returns {number} index of the sector the heading falls in
+     */
+    function sector(heading) {
+        return sectorOf(heading / factRad)
+    }
+
+    return { addReference, addBearing, report, table, sector }
+}
+
+/**
+ * Swing result merged into the current table: sectors visited by the swing
+ * replace the existing entries there, the others are kept.
+ *
+ * @param {object[]} current table entries, degrees
+ * @param {object} swing as returned by createSwing
+ * @returns {object[]} table entries, degrees
+ */
+function mergeSwing(current, swing) {
+    const measured = swing.table()
+    const visited = new Set(measured.map(entry => swing.sector(entry.heading * factRad)))
+    return (current || [])
+        .filter(entry => !visited.has(swing.sector(entry.heading * factRad)))
+        .concat(measured)
+        .sort((a, b) => a.heading - b.heading)
+}
+
+module.exports = {
+    createDeviationTable,
+    createSwing,
+    mergeSwing
+}
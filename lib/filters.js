@@ -0,0 +1,107 @@
+/**
+ * Value filters
+ *
+ * Time based, so they behave the same whatever the sensor return rate:
+ * - average: moving average over the last period seconds
+ * - low-pass: first order exponential filter, period being the time constant
+ * - median: moving median over the last period seconds
+ *
+ * Circular filters work on angles in rad (headings, yaw): they average the
+ * unit vectors rather than the values, so 359° and 1° give 0° and not 180°.
+ * Their output is in the -π..π range.
+ */
+
+const FILTER_TYPES = ["average", "low-pass", "median"]
+
+function wrap(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle))
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.type one of FILTER_TYPES
+ * @param {number} [options.period=1] window or time constant in seconds
+ * @param {boolean} [options.circular=false] values are angles in rad
+ * @returns {{push: function(number, number): number, reset: function()}}
+ */
+function createFilter(options) {
+    const type = FILTER_TYPES.includes(options.type) ? options.type : 'average'
+    const period = (options.period > 0 ? options.period : 1) * 1000
+    const circular = !!options.circular
+    let samples = []
+    let lastTime
+    let sin = 0
+    let cos = 0
+    let output
+
+    function lowPass(value, time) {
+        if (lastTime === undefined) {
+            sin = Math.sin(value)
+            cos = Math.cos(value)
+            output = value
+        }
+        else {
+            const alpha = 1 - Math.exp(-Math.max(0, time - lastTime) / period)
+            if (circular) {
+                sin += alpha * (Math.sin(value) - sin)
+                cos += alpha * (Math.cos(value) - cos)
+            }
+            else {
+                output += alpha * (value - output)
+            }
+        }
+        lastTime = time
+        return circular ? Math.atan2(sin, cos) : output
+    }
+
+    function windowed(value, time) {
+        samples.push({ time, value })
+        while (samples.length > 1 && time - samples[0].time > period) {
+            samples.shift()
+        }
+        const values = samples.map(sample => sample.value)
+
+        if (!circular) {
+            return type === 'median'
+                ? median(values)
+                : values.reduce((sum, v) => sum + v, 0) / values.length
+        }
+
+        const mean = Math.atan2(
+            values.reduce((sum, v) => sum + Math.sin(v), 0),
+            values.reduce((sum, v) => sum + Math.cos(v), 0)
+        )
+        if (type === 'average') {
+            return mean
+        }
+        // median of the deviations from the circular mean, free of the wrap around
+        return wrap(mean + median(values.map(v => wrap(v - mean))))
+    }
+
+    /**
+     * @param {number} value
+     * @param {number} time ms
+     * @returns {number} filtered value
+     */
+    function push(value, time) {
+        return type === 'low-pass' ? lowPass(value, time) : windowed(value, time)
+    }
+
+    function reset() {
+        samples = []
+        lastTime = undefined
+    }
+
+    return { push, reset }
+}
+
+module.exports = {
+    FILTER_TYPES,
+    createFilter
+}
@@ -0,0 +1,90 @@
+/**
+ * Magnetic calibration session tracker
+ *
+ * The sensor does the actual hard/soft-iron fitting on its own while in
+ * magnetic calibration mode: this tracker only follows the raw field samples
+ * to tell the user how much of the heading circle has been covered and how
+ * good the collected data looks, so the boat can be turned until the
+ * calibration is worth saving.
+ */
+
+const SECTORS = 12          // 30° heading sectors to be visited
+const MAX_SAMPLES = 5000
+
+/**
+ * @returns {{addSample: function(number, number, number), report: function(): object}}
+ */
+function createMagCalibration() {
+    const startedAt = Date.now()
+    const min = { x: Infinity, y: Infinity, z: Infinity }
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity }
+    let samples = []
+
+    function addSample(x, y, z) {
+        min.x = Math.min(min.x, x)
+        min.y = Math.min(min.y, y)
+        min.z = Math.min(min.z, z)
+        max.x = Math.max(max.x, x)
+        max.y = Math.max(max.y, y)
+        max.z = Math.max(max.z, z)
+
+        samples.push([x, y])
+        if (samples.length > MAX_SAMPLES) {
+            // keep the whole session represented by dropping every other sample
+            samples = samples.filter((sample, i) => i % 2 === 0)
+        }
+    }
+
+    /**
+     * progress: ratio of heading sectors visited around the hard-iron center
+     * quality: progress weighted by the roundness of the horizontal field
+     * (soft-iron distortion turns the circle into an ellipse)
+     */
+    function report() {
+        if (samples.length === 0) {
+            return {
+                duration: (Date.now() - startedAt) / 1000,
+                samples: 0,
+                progress: 0,
+                quality: 0
+            }
+        }
+
+        const offset = {
+            x: (max.x + min.x) / 2,
+            y: (max.y + min.y) / 2,
+            z: (max.z + min.z) / 2
+        }
+        const range = {
+            x: max.x - min.x,
+            y: max.y - min.y,
+            z: max.z - min.z
+        }
+
+        const visited = new Set()
+        samples.forEach(([x, y]) => {
+            const angle = Math.atan2(y - offset.y, x - offset.x) + Math.PI
+            visited.add(Math.min(SECTORS - 1, Math.floor(angle / (2 * Math.PI) * SECTORS)))
+        })
+
+        const progress = visited.size / SECTORS
+        const roundness = Math.max(range.x, range.y) > 0
+            ? Math.min(range.x, range.y) / Math.max(range.x, range.y)
+            : 0
+
+        return {
+            duration: (Date.now() - startedAt) / 1000,
+            samples: samples.length,
+            progress: progress,
+            quality: progress * roundness,
+            offset: offset,
+            range: range
+        }
+    }
+
+    return { addSample, report }
+}
+
+module.exports = {
+    createMagCalibration
+}
@@ -0,0 +1,190 @@
+/**
+ * Published measurements
+ *
+ * Every value the plugin can publish, with its default SignalK path and its
+ * metadata. The device path mapping refers to these keys to disable a
+ * measurement or publish it on another path.
+ *
+ * - output: output content key of the packet carrying it
+ * - feature: device option that must be enabled for it to be produced
+ * - gnss: only produced when the GNSS data is published
+ * - sensor: path relative to the sensors.witN diagnostics of the device
+ * - enabled: published unless mapped otherwise, true when omitted
+ */
+
+const MEASUREMENTS = {
+    datetime: {
+        path: 'navigation.datetime', output: 'time', gnss: true,
+        description: 'Date and time from the sensor clock, set by the GNSS fix', displayName: 'Date/time'
+    },
+    accelerationX: {
+        path: 'navigation.acceleration.ax', output: 'acc', units: 'm/s2',
+        description: 'Acceleration on X axis', displayName: 'X acceleration'
+    },
+    accelerationY: {
+        path: 'navigation.acceleration.ay', output: 'acc', units: 'm/s2',
+        description: 'Acceleration on Y axis', displayName: 'Y acceleration'
+    },
+    accelerationZ: {
+        path: 'navigation.acceleration.az', output: 'acc', units: 'm/s2',
+        description: 'Acceleration on Z axis, gravity removed', displayName: 'Z acceleration'
+    },
+    temperature: {
+        path: 'environment.inside.temperature', output: 'acc', units: 'K',
+        description: 'Temperature of the sensor', displayName: 'Temperature'
+    },
+    angularVelocityX: {
+        path: 'navigation.angular_velocity.wx', output: 'gyro', units: 'rad/s',
+        description: 'angular velocity on X axis', displayName: 'angular velocity X'
+    },
+    angularVelocityY: {
+        path: 'navigation.angular_velocity.wy', output: 'gyro', units: 'rad/s',
+        description: 'angular velocity on Y axis', displayName: 'angular velocity Y'
+    },
+    angularVelocityZ: {
+        path: 'navigation.angular_velocity.wz', output: 'gyro', units: 'rad/s',
+        description: 'angular velocity on Z axis', displayName: 'angular velocity Z'
+    },
+    rateOfTurn: {
+        path: 'navigation.rateOfTurn', output: 'gyro', units: 'rad/s',
+        description: 'Rate of turn, positive to starboard', displayName: 'Rate of turn'
+    },
+    attitude: {
+        path: 'navigation.attitude', output: 'angle', units: 'rad',
+        description: 'Vessel attitude: roll, pitch and yaw', displayName: 'Attitude'
+    },
+    headingCompass: {
+        path: 'navigation.headingCompass', output: 'angle', units: 'rad',
+        description: 'Compass heading, yaw plus the heading offset', displayName: 'Compass heading'
+    },
+    magneticDeviation: {
+        path: 'navigation.magneticDeviation', output: 'angle', units: 'rad',
+        description: 'Compass deviation from the deviation table', displayName: 'Deviation'
+    },
+    headingMagnetic: {
+        path: 'navigation.headingMagnetic', output: 'angle', units: 'rad',
+        description: 'Magnetic heading, compass heading corrected for the deviation', displayName: 'Magnetic heading'
+    },
+    headingTrue: {
+        path: 'navigation.headingTrue', output: 'angle', units: 'rad',
+        description: 'True heading, magnetic heading plus the variation', displayName: 'True heading'
+    },
+    firmwareVersion: {
+        path: 'firmwareVersion', sensor: true, output: 'angle',
+        description: 'Firmware version reported in the angle packet', displayName: 'Firmware version'
+    },
+    magneticFieldX: {
+        path: 'magneticField.x', sensor: true, output: 'mag',
+        description: 'Raw magnetic field strength on X axis (sensor counts)', displayName: 'magnetic field X'
+    },
+    magneticFieldY: {
+        path: 'magneticField.y', sensor: true, output: 'mag',
+        description: 'Raw magnetic field strength on Y axis (sensor counts)', displayName: 'magnetic field Y'
+    },
+    magneticFieldZ: {
+        path: 'magneticField.z', sensor: true, output: 'mag',
+        description: 'Raw magnetic field strength on Z axis (sensor counts)', displayName: 'magnetic field Z'
+    },
+    portStatus: {
+        path: 'portStatus', sensor: true, output: 'port',
+        description: 'Raw values of the D0 to D3 ports', displayName: 'Port status'
+    },
+    pressure: {
+        path: 'environment.inside.pressure', output: 'pressure', units: 'Pa',
+        description: 'Pressure as measured by the sensor', displayName: 'Pressure'
+    },
+    pressureAltitude: {
+        path: 'pressureAltitude', sensor: true, output: 'pressure', units: 'm',
+        description: 'Altitude computed by the sensor from the pressure (standard atmosphere)', displayName: 'Pressure altitude'
+    },
+    quaternion: {
+        path: 'quaternion', sensor: true, output: 'quaternion',
+        description: 'Orientation quaternion of the vessel', displayName: 'Quaternion'
+    },
+    heave: {
+        path: 'environment.heave', output: 'acc', feature: 'seaState', units: 'm',
+        description: 'Vertical movement of the vessel due to waves', displayName: 'Heave'
+    },
+    waveHeight: {
+        path: 'environment.water.waves.significantHeight', output: 'acc', feature: 'seaState', units: 'm',
+        description: 'Significant wave height (4 standard deviations of heave)', displayName: 'Wave height'
+    },
+    wavePeriod: {
+        path: 'environment.water.waves.meanPeriod', output: 'acc', feature: 'seaState', units: 's',
+        description: 'Mean zero up-crossing wave period', displayName: 'Wave period'
+    },
+    wavePeakPeriod: {
+        path: 'environment.water.waves.peakPeriod', output: 'acc', feature: 'seaState', units: 's',
+        description: 'Wave period at the peak of the heave spectrum', displayName: 'Peak wave period'
+    },
+    barometer: {
+        path: 'environment.outside.pressure', output: 'pressure', feature: 'barometer', units: 'Pa',
+        description: 'Smoothed barometric pressure, reduced to sea level when the elevation is set', displayName: 'Barometer'
+    },
+    pressureTendency1h: {
+        path: 'environment.outside.pressureTendency1h', output: 'pressure', feature: 'barometer', units: 'Pa',
+        description: 'Pressure change over the last hour', displayName: '1h tendency'
+    },
+    pressureTendency3h: {
+        path: 'environment.outside.pressureTendency3h', output: 'pressure', feature: 'barometer', units: 'Pa',
+        description: 'Pressure change over the last 3 hours', displayName: '3h tendency'
+    },
+    pressureTrend: {
+        path: 'environment.outside.pressureTrend', output: 'pressure', feature: 'barometer',
+        description: 'Pressure trend classified from the 3 hour tendency', displayName: 'Pressure trend'
+    },
+    position: {
+        path: 'navigation.position', output: 'gps', gnss: true,
+        description: 'Position from the sensor GNSS', displayName: 'Position'
+    },
+    speedOverGround: {
+        path: 'navigation.speedOverGround', output: 'groundSpeed', gnss: true, units: 'm/s',
+        description: 'Speed over ground from the sensor GNSS', displayName: 'SOG'
+    },
+    courseOverGroundTrue: {
+        path: 'navigation.courseOverGroundTrue', output: 'groundSpeed', gnss: true, units: 'rad',
+        description: 'Course over ground from the sensor GNSS', displayName: 'COG'
+    },
+    antennaAltitude: {
+        path: 'navigation.gnss.antennaAltitude', output: 'groundSpeed', gnss: true, units: 'm',
+        description: 'GNSS antenna altitude', displayName: 'GNSS altitude'
+    },
+    satellites: {
+        path: 'navigation.gnss.satellites', output: 'gpsAccuracy', gnss: true,
+        description: 'Number of satellites used', displayName: 'Satellites'
+    },
+    methodQuality: {
+        path: 'navigation.gnss.methodQuality', output: 'gpsAccuracy', gnss: true,
+        description: 'GNSS fix quality', displayName: 'Fix quality'
+    },
+    horizontalDilution: {
+        path: 'navigation.gnss.horizontalDilution', output: 'gpsAccuracy', gnss: true,
+        description: 'Horizontal dilution of precision', displayName: 'HDOP'
+    },
+    positionDilution: {
+        path: 'navigation.gnss.positionDilution', output: 'gpsAccuracy', gnss: true,
+        description: 'Position dilution of precision', displayName: 'PDOP'
+    },
+    verticalDilution: {
+        path: 'navigation.gnss.verticalDilution', output: 'gpsAccuracy', gnss: true,
+        description: 'Vertical dilution of precision', displayName: 'VDOP'
+    }
+}
+
+/**
+ * @param {string} key one of the MEASUREMENTS keys
+ * @returns {{description: string, displayName: string, units?: string}} SignalK metadata
+ */
+function measurementMeta(key) {
+    const measurement = MEASUREMENTS[key]
+    const meta = { description: measurement.description, displayName: measurement.displayName }
+    if (measurement.units) {
+        meta.units = measurement.units
+    }
+    return meta
+}
+
+module.exports = {
+    MEASUREMENTS,
+    measurementMeta
+}
@@ -0,0 +1,328 @@
+/**
+ * WIT Modbus RTU protocol
+ *
+ * RS485 variants of the sensors answer Modbus RTU requests instead of
+ * streaming: the master polls the data registers of each slave in turn, so
+ * several sensors can share a single line as long as their slave addresses
+ * differ. Only two functions are used:
+ * - 0x03 read holding registers: ADDR 0x03 REGH REGL CNTH CNTL CRCL CRCH
+ * - 0x06 write single register: ADDR 0x06 REGH REGL VALH VALL CRCL CRCH
+ * Register values travel high byte first, the CRC low byte first.
+ */
+
+const { PACKET_TYPES } = require('./wit-protocol')
+
+const GRAVITY = 9.8
+const READ_HOLDING_REGISTERS = 0x03
+const WRITE_SINGLE_REGISTER = 0x06
+const REPLY_TIMEOUT = 500   // ms
+const READ_COUNT = 4        // registers returned by a link read, as in the streaming protocol
+
+/**
+ * Modbus CRC16 (polynomial 0xA001, initial value 0xFFFF)
+ *
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+function crc16(data) {
+    let crc = 0xFFFF
+    for (let i = 0; i < data.length; i++) {
+        crc ^= data[i]
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 1 ? (crc >> 1) ^ 0xA001 : crc >> 1
+        }
+    }
+    return crc
+}
+
+/**
+ * @param {number[]} bytes frame without CRC
+ * @returns {Buffer} frame with CRC
+ */
+function frame(bytes) {
+    const data = Buffer.alloc(bytes.length + 2)
+    bytes.forEach((byte, i) => { data[i] = byte & 0xFF })
+    data.writeUInt16LE(crc16(data.subarray(0, bytes.length)), bytes.length)
+    return data
+}
+
+function hex(value) {
+    return '0x' + value.toString(16).toUpperCase().padStart(2, '0')
+}
+
+/**
+ * Bus master: one request at a time, each one waiting for its reply or a
+ * timeout before the next is sent.
+ *
+ * @param {object} options
+ * @param {function(Buffer)} options.write sends raw bytes on the bus
+ * @param {number} [options.timeout] ms to wait for a reply
+ * @returns {{push: function, readRegisters: function, writeRegister: function, close: function, stats: function}}
+ */
+function createModbusMaster(options) {
+    const write = options.write
+    const timeout = options.timeout || REPLY_TIMEOUT
+    let queue = Promise.resolve()
+    let pending = null
+    let buffer = Buffer.alloc(0)
+    const counters = {}
+
+    function count(slave, key) {
+        if (!counters[slave]) {
+            counters[slave] = { replies: 0, badChecksums: 0, timeouts: 0 }
+        }
+        counters[slave][key]++
+    }
+
+    /**
+     * To be called with every chunk of bytes received from the bus.
+     *
+     * @param {Uint8Array} chunk
+     */
+    function push(chunk) {
+        if (!pending) {
+            // nothing was asked: late replies or line noise
+            return
+        }
+        buffer = Buffer.concat([buffer, Buffer.from(chunk)])
+
+        while (buffer.length >= 5) {
+            let length
+            if (buffer[0] !== pending.slave) {
+                length = 0
+            }
+            else if (buffer[1] === pending.functionCode) {
+                length = pending.length
+            }
+            else if (buffer[1] === (pending.functionCode | 0x80)) {
+                length = 5
+            }
+
+            if (!length) {
+                buffer = buffer.subarray(1)
+                continue
+            }
+            if (buffer.length < length) {
+                return
+            }
+            const reply = buffer.subarray(0, length)
+            if (crc16(reply.subarray(0, length - 2)) !== reply.readUInt16LE(length - 2)) {
+                count(pending.slave, 'badChecksums')
+                buffer = buffer.subarray(1)
+                continue
+            }
+
+            buffer = Buffer.alloc(0)
+            count(pending.slave, 'replies')
+            const request = pending
+            if (reply[1] & 0x80) {
+                request.reject(new Error(`slave ${hex(request.slave)} exception ${reply[2]}`))
+            }
+            else {
+                request.resolve(Buffer.from(reply))
+            }
+            return
+        }
+    }
+
+    function transaction(slave, pdu, length) {
+        const send = () => new Promise((resolve, reject) => {
+            buffer = Buffer.alloc(0)
+            const timer = setTimeout(() => {
+                count(slave, 'timeouts')
+                pending = null
+                reject(new Error(`no reply from slave ${hex(slave)}`))
+            }, timeout)
+            pending = {
+                slave,
+                functionCode: pdu[0],
+                length,
+                resolve: reply => {
+                    clearTimeout(timer)
+                    pending = null
+                    resolve(reply)
+                },
+                reject: err => {
+                    clearTimeout(timer)
+                    pending = null
+                    reject(err)
+                }
+            }
+            try {
+                write(frame([slave].concat(pdu)))
+            }
+            catch (err) {
+                pending.reject(err)
+            }
+        })
+        const result = queue.then(send, send)
+        queue = result.catch(() => {})
+        return result
+    }
+
+    /**
+     * @param {number} slave
+     * @param {number} register first register
+     * @param {number} count
+     * @returns {Promise<number[]>} unsigned 16 bits values
+     */
+    function readRegisters(slave, register, count) {
+        const pdu = [READ_HOLDING_REGISTERS, register >> 8, register, count >> 8, count]
+        return transaction(slave, pdu, 5 + 2 * count).then(reply => {
+            const values = []
+            for (let i = 0; i < count; i++) {
+                values.push(reply.readUInt16BE(3 + 2 * i))
+            }
+            return values
+        })
+    }
+
+    /**
+     * @param {number} slave
+     * @param {number} register
+     * @param {number} value 16 bits
+     * @returns {Promise}
+     */
+    function writeRegister(slave, register, value) {
+        const pdu = [WRITE_SINGLE_REGISTER, register >> 8, register, value >> 8, value]
+        return transaction(slave, pdu, 8).then(() => undefined)
+    }
+
+    /**
+     * Fails the request waiting for a reply, the bus is gone.
+     */
+    function close() {
+        if (pending) {
+            pending.reject(new Error('port closed'))
+        }
+        buffer = Buffer.alloc(0)
+    }
+
+    /**
+     * @param {number} slave
+     * @returns {{replies: number, badChecksums: number, timeouts: number}}
+     */
+    function stats(slave) {
+        return Object.assign({ replies: 0, badChecksums: 0, timeouts: 0 }, counters[slave])
+    }
+
+    return { push, readRegisters, writeRegister, close, stats }
+}
+
+/**
+ * Command queue link to one slave of the bus.
+ *
+ * @param {object} master as returned by createModbusMaster
+ * @param {number} slave
+ * @returns {{writeRegister: function, readRegisters: function}}
+ */
+function createModbusLink(master, slave) {
+    return {
+        writeRegister: (register, value) => master.writeRegister(slave, register, value),
+        readRegisters: register => master.readRegisters(slave, register, READ_COUNT)
+    }
+}
+
+function int16(value) {
+    return value > 0x7FFF ? value - 0x10000 : value
+}
+
+function int32(low, high) {
+    return (high << 16) | low
+}
+
+/**
+ * Register blocks polled for the output content keys they provide. Each
+ * block is turned into the same packets the streaming protocol decodes.
+ */
+const POLL_BLOCKS = [
+    {
+        // AX AY AZ GX GY GZ HX HY HZ Roll Pitch Yaw TEMP
+        register: 0x34,
+        count: 13,
+        output: ['acc', 'gyro', 'mag', 'angle'],
+        decode: values => {
+            const temperature = int16(values[12]) / 100
+            return [
+                {
+                    type: PACKET_TYPES.ACC,
+                    ax: int16(values[0]) / 32768 * 16 * GRAVITY,
+                    ay: int16(values[1]) / 32768 * 16 * GRAVITY,
+                    az: int16(values[2]) / 32768 * 16 * GRAVITY,
+                    temperature
+                },
+                {
+                    type: PACKET_TYPES.GYRO,
+                    wx: int16(values[3]) / 32768 * 2000,
+                    wy: int16(values[4]) / 32768 * 2000,
+                    wz: int16(values[5]) / 32768 * 2000,
+                    temperature
+                },
+                {
+                    type: PACKET_TYPES.MAG,
+                    hx: int16(values[6]),
+                    hy: int16(values[7]),
+                    hz: int16(values[8]),
+                    temperature
+                },
+                {
+                    type: PACKET_TYPES.ANGLE,
+                    roll: int16(values[9]) / 32768 * 180,
+                    pitch: int16(values[10]) / 32768 * 180,
+                    yaw: int16(values[11]) / 32768 * 180
+                }
+            ]
+        }
+    },
+    {
+        // PressureL PressureH HeightL HeightH
+        register: 0x45,
+        count: 4,
+        output: ['pressure'],
+        decode: values => [{
+            type: PACKET_TYPES.PRESSURE,
+            pressure: int32(values[0], values[1]),
+            height: int32(values[2], values[3]) / 100
+        }]
+    },
+    {
+        // Q0 Q1 Q2 Q3
+        register: 0x51,
+        count: 4,
+        output: ['quaternion'],
+        decode: values => [{
+            type: PACKET_TYPES.QUATERNION,
+            q0: int16(values[0]) / 32768,
+            q1: int16(values[1]) / 32768,
+            q2: int16(values[2]) / 32768,
+            q3: int16(values[3]) / 32768
+        }]
+    }
+]
+
+/**
+ * Reads the register blocks providing the selected output content.
+ *
+ * @param {object} master as returned by createModbusMaster
+ * @param {number} slave
+ * @param {string[]} output output content keys
+ * @returns {Promise<object[]>} decoded packets
+ */
+async function poll(master, slave, output) {
+    const packets = []
+    for (const block of POLL_BLOCKS) {
+        if (block.output.some(key => output.includes(key))) {
+            const values = await master.readRegisters(slave, block.register, block.count)
+            packets.push(...block.decode(values))
+        }
+    }
+    return packets
+}
+
+module.exports = {
+    POLL_BLOCKS,
+    crc16,
+    createModbusMaster,
+    createModbusLink,
+    poll
+}
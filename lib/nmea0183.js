@@ -0,0 +1,155 @@
+/**
+ * NMEA 0183 sentences
+ *
+ * Built from the latest SignalK values of a device (SI units, paths without
+ * prefix). A sentence whose data is missing is not built at all rather than
+ * sent with empty fields.
+ */
+
+const SENTENCES = ["HDM", "HDG", "ROT", "XDR", "RMC", "GGA"]
+
+const factDeg = 180 / Math.PI
+const KNOTS = 3600 / 1852   // per m/s
+
+function checksum(body) {
+    let sum = 0
+    for (let i = 0; i < body.length; i++) {
+        sum ^= body.charCodeAt(i)
+    }
+    return sum.toString(16).toUpperCase().padStart(2, '0')
+}
+
+/**
+ * @param {string} talker two characters
+ * @param {string} id sentence formatter
+ * @param {Array} fields
+ * @returns {string} sentence with checksum, without line ending
+ */
+function sentence(talker, id, fields) {
+    const body = `${talker}${id},${fields.join(',')}`
+    return `$${body}*${checksum(body)}`
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value)
+}
+
+function degrees(value, decimals = 1) {
+    return (value * factDeg).toFixed(decimals)
+}
+
+function heading(value) {
+    return degrees(((value % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI))
+}
+
+// magnitude and E/W hemisphere of a variation or deviation
+function eastWest(value) {
+    return isNumber(value) ? [degrees(Math.abs(value)), value < 0 ? 'W' : 'E'] : ['', '']
+}
+
+// ddmm.mmmm or dddmm.mmmm
+function coordinate(value, degreeDigits, hemispheres) {
+    const minutes = Math.round(Math.abs(value) * 60 * 10000) / 10000
+    const deg = Math.floor(minutes / 60)
+    const min = (minutes - deg * 60).toFixed(4).padStart(7, '0')
+    return [String(deg).padStart(degreeDigits, '0') + min, value < 0 ? hemispheres[1] : hemispheres[0]]
+}
+
+function pad2(value) {
+    return String(value).padStart(2, '0')
+}
+
+// hhmmss.ss and ddmmyy, from the sensor clock or else the server clock
+function utc(datetime) {
+    const parsed = new Date(datetime)
+    const time = datetime && !isNaN(parsed) ? parsed : new Date()
+    return {
+        time: pad2(time.getUTCHours()) + pad2(time.getUTCMinutes()) + pad2(time.getUTCSeconds()) + '.' +
+            pad2(Math.floor(time.getUTCMilliseconds() / 10)),
+        date: pad2(time.getUTCDate()) + pad2(time.getUTCMonth() + 1) + pad2(time.getUTCFullYear() % 100)
+    }
+}
+
+const builders = {
+    HDM: (values) => {
+        const hdm = values.get('navigation.headingMagnetic')
+        return isNumber(hdm) ? ['HDM', [heading(hdm), 'M']] : null
+    },
+
+    HDG: (values, variation) => {
+        const compass = values.get('navigation.headingCompass')
+        if (!isNumber(compass)) {
+            return null
+        }
+        return ['HDG', [heading(compass)].concat(eastWest(values.get('navigation.magneticDeviation')), eastWest(variation))]
+    },
+
+    // deg/min, negative when the bow turns to port
+    ROT: (values) => {
+        const rateOfTurn = values.get('navigation.rateOfTurn')
+        return isNumber(rateOfTurn) ? ['ROT', [(rateOfTurn * factDeg * 60).toFixed(1), 'A']] : null
+    },
+
+    XDR: (values) => {
+        const fields = []
+        const attitude = values.get('navigation.attitude')
+        if (attitude && isNumber(attitude.pitch) && isNumber(attitude.roll)) {
+            fields.push('A', degrees(attitude.pitch), 'D', 'PTCH', 'A', degrees(attitude.roll), 'D', 'ROLL')
+        }
+        const pressure = values.get('environment.inside.pressure')
+        if (isNumber(pressure)) {
+            fields.push('P', (pressure / 100000).toFixed(5), 'B', 'Barometer')
+        }
+        const temperature = values.get('environment.inside.temperature')
+        if (isNumber(temperature)) {
+            fields.push('C', (temperature - 273.15).toFixed(1), 'C', 'TempInside')
+        }
+        return fields.length > 0 ? ['XDR', fields] : null
+    },
+
+    RMC: (values, variation) => {
+        const position = values.get('navigation.position')
+        if (!position) {
+            return null
+        }
+        const sog = values.get('navigation.speedOverGround')
+        const cog = values.get('navigation.courseOverGroundTrue')
+        const { time, date } = utc(values.get('navigation.datetime'))
+        return ['RMC', [time, 'A']
+            .concat(coordinate(position.latitude, 2, 'NS'), coordinate(position.longitude, 3, 'EW'))
+            .concat([isNumber(sog) ? (sog * KNOTS).toFixed(1) : '', isNumber(cog) ? heading(cog) : '', date])
+            .concat(eastWest(variation), ['A'])]
+    },
+
+    GGA: (values) => {
+        const position = values.get('navigation.position')
+        if (!position) {
+            return null
+        }
+        const satellites = values.get('navigation.gnss.satellites')
+        const hdop = values.get('navigation.gnss.horizontalDilution')
+        const altitude = values.get('navigation.gnss.antennaAltitude')
+        const { time } = utc(values.get('navigation.datetime'))
+        return ['GGA', [time]
+            .concat(coordinate(position.latitude, 2, 'NS'), coordinate(position.longitude, 3, 'EW'))
+            .concat(['1', isNumber(satellites) ? pad2(satellites) : '', isNumber(hdop) ? hdop.toFixed(1) : ''])
+            .concat([isNumber(altitude) ? altitude.toFixed(1) : '', 'M', '', 'M', '', ''])]
+    }
+}
+
+/**
+ * @param {string} id one of SENTENCES
+ * @param {string} talker
+ * @param {Map<string, *>} values latest values by SignalK path
+ * @param {number|null} variation rad, east positive
+ * @returns {string|null} null when the data is missing
+ */
+function buildSentence(id, talker, values, variation) {
+    const built = builders[id] ? builders[id](values, variation) : null
+    return built ? sentence(talker, built[0], built[1]) : null
+}
+
+module.exports = {
+    SENTENCES,
+    buildSentence
+}
@@ -0,0 +1,115 @@
+/**
+ * NMEA 2000 PGNs
+ *
+ * Built from the latest SignalK values of a device (SI units, paths without
+ * prefix) as the canboat JSON messages the server writes to the bus
+ * (nmea2000JsonOut event). Angles stay in rad and pressure in Pa, the
+ * encoding to the PGN resolutions is done by the server.
+ */
+
+const PGNS = {
+    ATTITUDE: 127257,
+    VESSEL_HEADING: 127250,
+    RATE_OF_TURN: 127251,
+    ACTUAL_PRESSURE: 130314
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value)
+}
+
+// unknown values are left out, the server sends them as not available
+function defined(fields) {
+    return Object.keys(fields).reduce((result, key) => {
+        if (fields[key] !== undefined && fields[key] !== null) {
+            result[key] = fields[key]
+        }
+        return result
+    }, {})
+}
+
+const builders = {
+    [PGNS.ATTITUDE]: {
+        priority: 3,
+        paths: ['navigation.attitude'],
+        fields: (values) => {
+            const attitude = values.get('navigation.attitude')
+            if (!attitude || !isNumber(attitude.roll) || !isNumber(attitude.pitch)) {
+                return null
+            }
+            return { Yaw: attitude.yaw, Pitch: attitude.pitch, Roll: attitude.roll }
+        }
+    },
+
+    [PGNS.VESSEL_HEADING]: {
+        priority: 2,
+        paths: ['navigation.headingCompass'],
+        fields: (values, options) => {
+            const heading = values.get('navigation.headingCompass')
+            if (!isNumber(heading)) {
+                return null
+            }
+            return {
+                Heading: heading,
+                Deviation: values.get('navigation.magneticDeviation'),
+                Variation: options.variation,
+                Reference: 'Magnetic'
+            }
+        }
+    },
+
+    [PGNS.RATE_OF_TURN]: {
+        priority: 2,
+        paths: ['navigation.rateOfTurn'],
+        fields: (values) => {
+            const rateOfTurn = values.get('navigation.rateOfTurn')
+            return isNumber(rateOfTurn) ? { Rate: rateOfTurn } : null
+        }
+    },
+
+    [PGNS.ACTUAL_PRESSURE]: {
+        priority: 5,
+        paths: ['environment.inside.pressure'],
+        fields: (values, options) => {
+            const pressure = values.get('environment.inside.pressure')
+            return isNumber(pressure) ? { Instance: options.instance, Source: 'Atmospheric', Pressure: pressure } : null
+        }
+    }
+}
+
+/**
+ * @param {number} pgn one of PGNS
+ * @returns {string[]} SignalK paths the PGN is built from
+ */
+function pgnPaths(pgn) {
+    return builders[pgn] ? builders[pgn].paths : []
+}
+
+/**
+ * @param {number} pgn one of PGNS
+ * @param {Map<string, *>} values latest values by SignalK path
+ * @param {object} options
+ * @param {number} options.sid sequence identifier tying the PGNs of a same measurement
+ * @param {number} [options.instance=0] data instance, where the PGN has one
+ * @param {number|null} [options.variation] rad, east positive
+ * @returns {object|null} canboat JSON message, null when the data is missing
+ */
+function buildPgn(pgn, values, options) {
+    const builder = builders[pgn]
+    const fields = builder ? builder.fields(values, Object.assign({ instance: 0, variation: null }, options)) : null
+    if (!fields) {
+        return null
+    }
+    return {
+        pgn,
+        prio: builder.priority,
+        dst: 255,
+        fields: defined(Object.assign({ SID: options.sid }, fields))
+    }
+}
+
+module.exports = {
+    PGNS,
+    pgnPaths,
+    buildPgn
+}
@@ -0,0 +1,192 @@
+/**
+ * Mounting orientation transform
+ *
+ * The boat frame follows the sensor's own convention: x to the bow, y to
+ * port, z up, with attitude as roll about x, pitch about y and yaw about z
+ * (rotation order z-y-x). A sensor mounted with X to the bow and Z up reports
+ * boat values as they are; any other right-angle mounting is described by the
+ * sensor axes pointing to the bow and up (24 combinations), plus small
+ * roll/pitch/yaw offsets for what is left of the misalignment.
+ */
+
+const AXES = {
+    'X': [1, 0, 0],
+    '-X': [-1, 0, 0],
+    'Y': [0, 1, 0],
+    '-Y': [0, -1, 0],
+    'Z': [0, 0, 1],
+    '-Z': [0, 0, -1]
+}
+
+/**
+ * All the right-angle orientations, as "<axis> forward, <axis> up".
+ */
+const ORIENTATIONS = Object.keys(AXES).reduce((orientations, forward) => {
+    Object.keys(AXES)
+        .filter(up => dot(AXES[forward], AXES[up]) === 0)
+        .forEach(up => orientations.push(`${forward} forward, ${up} up`))
+    return orientations
+}, [])
+
+const DEFAULT_ORIENTATION = 'X forward, Z up'
+
+/**
+ * Cable plug to the stern, as assumed before the mounting could be set: the
+ * sensor X axis is the pitch axis. The sensor yaw is then 90° off the bow.
+ */
+const LEGACY_ORIENTATION = 'Y forward, Z up'
+const LEGACY_YAW = 90
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ]
+}
+
+function multiply(a, b) {
+    return a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]))
+}
+
+function transpose(m) {
+    return [0, 1, 2].map(i => [m[0][i], m[1][i], m[2][i]])
+}
+
+function apply(m, v) {
+    return m.map(row => dot(row, v))
+}
+
+/**
+ * Body to earth rotation matrix, R = Rz(yaw) * Ry(pitch) * Rx(roll)
+ */
+function eulerToMatrix(roll, pitch, yaw) {
+    const cr = Math.cos(roll), sr = Math.sin(roll)
+    const cp = Math.cos(pitch), sp = Math.sin(pitch)
+    const cy = Math.cos(yaw), sy = Math.sin(yaw)
+    return [
+        [cy * cp, cy * sp * sr - sy * cr, cy * sp * cr + sy * sr],
+        [sy * cp, sy * sp * sr + cy * cr, sy * sp * cr - cy * sr],
+        [-sp, cp * sr, cp * cr]
+    ]
+}
+
+function matrixToEuler(m) {
+    return {
+        roll: Math.atan2(m[2][1], m[2][2]),
+        pitch: Math.asin(Math.max(-1, Math.min(1, -m[2][0]))),
+        yaw: Math.atan2(m[1][0], m[0][0])
+    }
+}
+
+function quaternionToMatrix(q) {
+    const { q0, q1, q2, q3 } = q
+    return [
+        [1 - 2 * (q2 * q2 + q3 * q3), 2 * (q1 * q2 - q0 * q3), 2 * (q1 * q3 + q0 * q2)],
+        [2 * (q1 * q2 + q0 * q3), 1 - 2 * (q1 * q1 + q3 * q3), 2 * (q2 * q3 - q0 * q1)],
+        [2 * (q1 * q3 - q0 * q2), 2 * (q2 * q3 + q0 * q1), 1 - 2 * (q1 * q1 + q2 * q2)]
+    ]
+}
+
+function matrixToQuaternion(m) {
+    const trace = m[0][0] + m[1][1] + m[2][2]
+    let q0, q1, q2, q3
+    if (trace > 0) {
+        const s = Math.sqrt(trace + 1) * 2
+        q0 = s / 4
+        q1 = (m[2][1] - m[1][2]) / s
+        q2 = (m[0][2] - m[2][0]) / s
+        q3 = (m[1][0] - m[0][1]) / s
+    }
+    else if (m[0][0] > m[1][1] && m[0][0] > m[2][2]) {
+        const s = Math.sqrt(1 + m[0][0] - m[1][1] - m[2][2]) * 2
+        q0 = (m[2][1] - m[1][2]) / s
+        q1 = s / 4
+        q2 = (m[0][1] + m[1][0]) / s
+        q3 = (m[0][2] + m[2][0]) / s
+    }
+    else if (m[1][1] > m[2][2]) {
+        const s = Math.sqrt(1 + m[1][1] - m[0][0] - m[2][2]) * 2
+        q0 = (m[0][2] - m[2][0]) / s
+        q1 = (m[0][1] + m[1][0]) / s
+        q2 = s / 4
+        q3 = (m[1][2] + m[2][1]) / s
+    }
+    else {
+        const s = Math.sqrt(1 + m[2][2] - m[0][0] - m[1][1]) * 2
+        q0 = (m[1][0] - m[0][1]) / s
+        q1 = (m[0][2] + m[2][0]) / s
+        q2 = (m[1][2] + m[2][1]) / s
+        q3 = s / 4
+    }
+    return { q0, q1, q2, q3 }
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.orientation] one of ORIENTATIONS
+ * @param {number} [options.rollOffset] degrees
+ * @param {number} [options.pitchOffset] degrees
+ * @param {number} [options.yawOffset] degrees
+ * @returns {{vector: function, attitude: function, quaternion: function}}
+ */
+function createMounting(options = {}) {
+    const orientation = ORIENTATIONS.includes(options.orientation) ? options.orientation : DEFAULT_ORIENTATION
+    const [forwardAxis, upAxis] = orientation.split(', ').map(part => part.split(' ')[0])
+    const forward = AXES[forwardAxis]
+    const up = AXES[upAxis]
+    const left = cross(up, forward)
+
+    // rows are the boat axes seen from the sensor: boat vector = mounting * sensor vector
+    const nominal = [forward, left, up]
+    const factRad = Math.PI / 180
+    const offsets = eulerToMatrix(
+        (options.rollOffset || 0) * factRad,
+        (options.pitchOffset || 0) * factRad,
+        (options.yawOffset || 0) * factRad
+    )
+    const mounting = multiply(offsets, nominal)
+    const inverse = transpose(mounting)
+
+    /**
+     * @param {number[]} v sensor frame vector
+     * @returns {number[]} boat frame vector
+     */
+    function vector(v) {
+        return apply(mounting, v)
+    }
+
+    /**
+     * @param {{roll: number, pitch: number, yaw: number}} angles sensor attitude, rad
+     * @returns {{roll: number, pitch: number, yaw: number}} boat attitude, rad
+     */
+    function attitude(angles) {
+        return matrixToEuler(multiply(eulerToMatrix(angles.roll, angles.pitch, angles.yaw), inverse))
+    }
+
+    /**
+     * @param {{q0: number, q1: number, q2: number, q3: number}} q sensor attitude
+     * @returns {{q0: number, q1: number, q2: number, q3: number}} boat attitude
+     */
+    function quaternion(q) {
+        return matrixToQuaternion(multiply(quaternionToMatrix(q), inverse))
+    }
+
+    return { vector, attitude, quaternion }
+}
+
+module.exports = {
+    ORIENTATIONS,
+    DEFAULT_ORIENTATION,
+    LEGACY_ORIENTATION,
+    LEGACY_YAW,
+    createMounting,
+    eulerToMatrix,
+    matrixToEuler,
+    quaternionToMatrix,
+    matrixToQuaternion
+}
@@ -0,0 +1,125 @@
+/**
+ * Raw stream recording and replay
+ *
+ * Recordings are JSON lines files, one line per chunk of bytes received from
+ * the sensor: {"t": <receive time, ms since epoch>, "d": "<bytes, base64>"}.
+ * The replay transport feeds a recording back through the same decoder as a
+ * live sensor, at the original pace or accelerated.
+ */
+
+const fs = require('fs')
+const readline = require('readline')
+const EventEmitter = require('events')
+
+/**
+ * @param {string} file
+ * @returns {{file: string, write: function(Buffer), close: function()}}
+ */
+function createRecorder(file) {
+    const stream = fs.createWriteStream(file, { flags: 'a' })
+
+    function write(chunk) {
+        stream.write(JSON.stringify({ t: Date.now(), d: Buffer.from(chunk).toString('base64') }) + '\n')
+    }
+
+    function close() {
+        stream.end()
+    }
+
+    return { file, write, close }
+}
+
+/**
+ * Creates a transport replaying a recording. It behaves like a serial port
+ * that cannot be written to: 'open', 'data', 'error' and 'close' events.
+ *
+ * @param {string} file
+ * @param {object} [options]
+ * @param {number} [options.speed=1] replay speed factor, 0 for as fast as possible
+ * @param {boolean} [options.loop=false] start over at the end of the file
+ * @returns {EventEmitter}
+ */
+function createReplayTransport(file, options = {}) {
+    const transport = new EventEmitter()
+    const speed = options.speed !== undefined ? options.speed : 1
+    let closed = false
+    let timer
+
+    transport.isReplay = true
+    transport.write = () => {}
+    transport.close = (callback) => {
+        if (!closed) {
+            closed = true
+            clearTimeout(timer)
+            transport.emit('close')
+        }
+        if (callback) {
+            callback()
+        }
+    }
+
+    function wait(ms) {
+        return new Promise(resolve => { timer = setTimeout(resolve, ms) })
+    }
+
+    async function play() {
+        do {
+            const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })
+            let firstRecord
+            const startedAt = Date.now()
+
+            for await (const line of lines) {
+                if (closed) {
+                    lines.close()
+                    return
+                }
+                if (line.trim() === '') {
+                    continue
+                }
+                const record = JSON.parse(line)
+                if (firstRecord === undefined) {
+                    firstRecord = record.t
+                }
+                if (speed > 0) {
+                    const due = startedAt + (record.t - firstRecord) / speed
+                    if (due > Date.now()) {
+                        await wait(due - Date.now())
+                    }
+                }
+                else {
+                    // let the event loop breathe when replaying flat out
+                    await new Promise(resolve => setImmediate(resolve))
+                }
+                if (closed) {
+                    lines.close()
+                    return
+                }
+                transport.emit('data', Buffer.from(record.d, 'base64'))
+            }
+        } while (options.loop && !closed)
+
+        transport.close()
+    }
+
+    setImmediate(() => {
+        fs.access(file, fs.constants.R_OK, err => {
+            if (err) {
+                transport.emit('error', err)
+                return
+            }
+            transport.emit('open')
+            play().catch(err => {
+                if (!closed) {
+                    transport.emit('error', err)
+                }
+            })
+        })
+    })
+
+    return transport
+}
+
+module.exports = {
+    createRecorder,
+    createReplayTransport
+}
@@ -0,0 +1,169 @@
+/**
+ * Sea state estimation from vertical acceleration
+ *
+ * The acceleration, in the boat frame (see orientation.js), is projected on
+ * the earth vertical using roll and pitch, gravity is removed and the result
+ * is integrated twice into heave. Every stage goes through a first order
+ * high-pass filter to suppress the drift the integration would otherwise
+ * accumulate from bias and noise.
+ *
+ * Significant wave height and wave periods are computed over a sliding
+ * window of heave samples:
+ * - significant height: Hs = 4 * standard deviation of heave
+ * - mean period: window duration / zero up-crossings
+ * - peak period: period of the highest peak of the heave spectrum
+ */
+
+const GRAVITY = 9.8
+const MAX_SAMPLE_RATE = 5       // Hz, rate heave is kept at for the statistics
+const MIN_WINDOW = 60           // s of data needed before statistics are computed
+const MIN_FREQUENCY = 0.04      // Hz, 25 s waves
+const MAX_FREQUENCY = 0.5       // Hz, 2 s waves
+const FREQUENCY_STEP = 0.005    // Hz
+
+function createHighPass(cutoff) {
+    const rc = 1 / (2 * Math.PI * cutoff)
+    let lastInput
+    let lastOutput = 0
+
+    return function (input, dt) {
+        if (lastInput === undefined) {
+            lastInput = input
+            return 0
+        }
+        const alpha = rc / (rc + dt)
+        lastOutput = alpha * (lastOutput + input - lastInput)
+        lastInput = input
+        return lastOutput
+    }
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.window=10] statistics window in minutes
+ * @param {number} [options.cutoff=0.03] high-pass cutoff frequency in Hz
+ * @returns {{update: function, statistics: function}}
+ */
+function createSeaState(options = {}) {
+    const window = (options.window || 10) * 60 * 1000
+    const cutoff = options.cutoff || 0.03
+    const accFilter = createHighPass(cutoff)
+    const velocityFilter = createHighPass(cutoff)
+    const heaveFilter = createHighPass(cutoff)
+
+    let lastTime
+    let sampleTime = 0
+    let lastAcc = 0
+    let lastVelocity = 0
+    let velocityIntegral = 0
+    let displacementIntegral = 0
+    let heave = 0
+    let samples = []
+
+    /**
+     * The arrival time only detects the gaps in the data: samples received in
+     * the same chunk share it, so the integration and the statistics run on
+     * the sample period given by the caller.
+     *
+     * @param {number} time ms, arrival time
+     * @param {{ax: number, ay: number, az: number}} acc m/s2, boat frame
+     * @param {{roll: number, pitch: number}} attitude rad, boat frame
+     * @param {number} [dt] s since the previous sample, the arrival time difference when omitted
+     * @returns {number} heave in m, positive up
+     */
+    function update(time, acc, attitude, dt) {
+        const sinRoll = Math.sin(attitude.roll)
+        const cosRoll = Math.cos(attitude.roll)
+        const sinPitch = Math.sin(attitude.pitch)
+        const cosPitch = Math.cos(attitude.pitch)
+        const vertical = -sinPitch * acc.ax + sinRoll * cosPitch * acc.ay + cosRoll * cosPitch * acc.az - GRAVITY
+
+        if (lastTime === undefined) {
+            lastTime = time
+            return heave
+        }
+        const elapsed = (time - lastTime) / 1000
+        lastTime = time
+
+        // a long gap in the data invalidates the statistics window
+        if (elapsed > 1 / cutoff) {
+            samples = []
+            return heave
+        }
+        const step = dt > 0 ? dt : elapsed
+        if (!(step > 0)) {
+            return heave
+        }
+        sampleTime += step * 1000
+
+        // trapezoidal integration, each stage high-pass filtered
+        const a = accFilter(vertical, step)
+        velocityIntegral += (a + lastAcc) / 2 * step
+        const velocity = velocityFilter(velocityIntegral, step)
+        displacementIntegral += (velocity + lastVelocity) / 2 * step
+        heave = heaveFilter(displacementIntegral, step)
+        lastAcc = a
+        lastVelocity = velocity
+
+        const last = samples[samples.length - 1]
+        if (!last || sampleTime - last.time >= 1000 / MAX_SAMPLE_RATE) {
+            samples.push({ time: sampleTime, heave })
+        }
+        while (samples.length > 0 && sampleTime - samples[0].time > window) {
+            samples.shift()
+        }
+
+        return heave
+    }
+
+    /**
+     * @returns {{significantHeight: number, meanPeriod: number, peakPeriod: number}|undefined}
+     * undefined until enough data has been collected
+     */
+    function statistics() {
+        if (samples.length < 2 || samples[samples.length - 1].time - samples[0].time < MIN_WINDOW * 1000) {
+            return undefined
+        }
+
+        const duration = (samples[samples.length - 1].time - samples[0].time) / 1000
+        const mean = samples.reduce((sum, sample) => sum + sample.heave, 0) / samples.length
+        const variance = samples.reduce((sum, sample) => sum + Math.pow(sample.heave - mean, 2), 0) / samples.length
+
+        let upCrossings = 0
+        for (let i = 1; i < samples.length; i++) {
+            if (samples[i - 1].heave - mean < 0 && samples[i].heave - mean >= 0) {
+                upCrossings++
+            }
+        }
+
+        // samples are not evenly spaced: the spectrum is evaluated directly on their timestamps
+        let peakFrequency
+        let peakPower = 0
+        for (let f = MIN_FREQUENCY; f <= MAX_FREQUENCY; f += FREQUENCY_STEP) {
+            let re = 0
+            let im = 0
+            samples.forEach(sample => {
+                const phase = 2 * Math.PI * f * (sample.time - samples[0].time) / 1000
+                re += (sample.heave - mean) * Math.cos(phase)
+                im -= (sample.heave - mean) * Math.sin(phase)
+            })
+            const power = re * re + im * im
+            if (power > peakPower) {
+                peakPower = power
+                peakFrequency = f
+            }
+        }
+
+        return {
+            significantHeight: 4 * Math.sqrt(variance),
+            meanPeriod: upCrossings > 0 ? duration / upCrossings : null,
+            peakPeriod: peakFrequency ? 1 / peakFrequency : null
+        }
+    }
+
+    return { update, statistics }
+}
+
+module.exports = {
+    createSeaState
+}
@@ -0,0 +1,163 @@
+/**
+ * Transports the WIT byte stream can come from. Every transport behaves like
+ * a serial port: write(data), close(), and 'open', 'data', 'error', 'close'
+ * events.
+ */
+
+const path = require('path')
+const net = require('net')
+const dgram = require('dgram')
+const EventEmitter = require('events')
+const SerialPort = require('serialport')
+const { createReplayTransport } = require('./recording')
+
+const TRANSPORTS = ["serial", "tcp-client", "tcp-server", "udp", "replay"]
+
+/**
+ * @param {object} device device options
+ * @param {string} dataDir plugin data directory, where recordings live
+ * @returns {EventEmitter}
+ */
+function createTransport(device, dataDir) {
+    switch (device.transport || 'serial') {
+        case 'tcp-client':
+            return createTcpClientTransport(device.host, device.port)
+        case 'tcp-server':
+            return createTcpServerTransport(device.port)
+        case 'udp':
+            return createUdpTransport(device.port)
+        case 'replay':
+            return createReplayTransport(replayFile(device, dataDir), {
+                speed: device.replaySpeed,
+                loop: device.replayLoop
+            })
+        default:
+            return new SerialPort(device.usbDevice, { baudRate: parseInt(device.baudRate) })
+    }
+}
+
+/**
+ * Connects to a serial-to-Ethernet bridge or a WiFi sensor.
+ */
+function createTcpClientTransport(host, port) {
+    const transport = new EventEmitter()
+    const socket = net.createConnection({ host: host, port: port })
+
+    socket.on('connect', () => transport.emit('open'))
+    socket.on('data', data => transport.emit('data', data))
+    socket.on('error', err => transport.emit('error', err))
+    socket.on('close', () => transport.emit('close'))
+
+    transport.write = data => socket.write(Buffer.from(data))
+    transport.close = callback => {
+        socket.destroy()
+        if (callback) {
+            callback()
+        }
+    }
+    return transport
+}
+
+/**
+ * Waits for sensors configured to connect to the server: the transport is
+ * open while listening, commands go to every connected client.
+ */
+function createTcpServerTransport(port) {
+    const transport = new EventEmitter()
+    transport.isListening = true
+    const clients = new Set()
+    const server = net.createServer(socket => {
+        clients.add(socket)
+        socket.on('data', data => transport.emit('data', data))
+        socket.on('error', () => socket.destroy())
+        socket.on('close', () => clients.delete(socket))
+    })
+
+    server.on('listening', () => transport.emit('open'))
+    server.on('error', err => transport.emit('error', err))
+    server.on('close', () => transport.emit('close'))
+    server.listen(port)
+
+    transport.write = data => clients.forEach(socket => socket.write(Buffer.from(data)))
+    transport.close = callback => {
+        clients.forEach(socket => socket.destroy())
+        server.close()
+        if (callback) {
+            callback()
+        }
+    }
+    return transport
+}
+
+/**
+ * Listens for datagrams: commands are sent back to the last sender.
+ */
+function createUdpTransport(port) {
+    const transport = new EventEmitter()
+    transport.isListening = true
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true })
+    let sender
+
+    socket.on('listening', () => transport.emit('open'))
+    socket.on('message', (message, remote) => {
+        sender = remote
+        transport.emit('data', message)
+    })
+    socket.on('error', err => transport.emit('error', err))
+    socket.on('close', () => transport.emit('close'))
+    socket.bind(port)
+
+    transport.write = data => {
+        if (sender) {
+            socket.send(Buffer.from(data), sender.port, sender.address)
+        }
+    }
+    transport.close = callback => {
+        try {
+            socket.close()
+        }
+        catch (err) {
+            // already closed
+        }
+        if (callback) {
+            callback()
+        }
+    }
+    return transport
+}
+
+function replayFile(device, dataDir) {
+    return path.isAbsolute(device.replayFile || '') ? device.replayFile : path.join(dataDir, device.replayFile || '')
+}
+
+/**
+ * @returns {string} human readable description of where data comes from
+ */
+function describeTransport(device) {
+    switch (device.transport || 'serial') {
+        case 'tcp-client':
+            return `tcp://${device.host}:${device.port}`
+        case 'tcp-server':
+            return `tcp server on port ${device.port}`
+        case 'udp':
+            return `udp port ${device.port}`
+        case 'replay':
+            return `replay of ${device.replayFile}`
+        default:
+            return device.usbDevice
+    }
+}
+
+/**
+ * A replayed stream is read only: there is no sensor to configure.
+ */
+function isConfigurable(device) {
+    return (device.transport || 'serial') !== 'replay'
+}
+
+module.exports = {
+    TRANSPORTS,
+    createTransport,
+    describeTransport,
+    isConfigurable
+}
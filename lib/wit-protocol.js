@@ -0,0 +1,777 @@
+/**
+ * WIT standard protocol decoder
+ *
+ * The sensor streams fixed length packets, each one starting with 0x55
+ * followed by a type byte in the 0x50..0x5F range and ending with a SUM byte.
+ * Which packets are sent, and in which order, depends on the output content
+ * (RSW) configured on the device, so every packet is decoded on its own.
+ *
+ * Bluetooth modules and the newer WT901 series send 20 bytes packets
+ * without SUM byte instead: 0x55 0x61 with acceleration, angular velocity
+ * and angle combined, and 0x55 0x71 register read replies.
+ */
+
+const HEADER = 0x55
+const PACKET_LENGTH = 11
+const COMBINED_PACKET_LENGTH = 20
+const GRAVITY = 9.8
+
+const PACKET_TYPES = {
+    TIME: 0x50,
+    ACC: 0x51,
+    GYRO: 0x52,
+    ANGLE: 0x53,
+    MAG: 0x54,
+    PORT: 0x55,
+    PRESSURE: 0x56,
+    GPS: 0x57,
+    GROUND_SPEED: 0x58,
+    QUATERNION: 0x59,
+    GPS_ACCURACY: 0x5A,
+    REGISTERS: 0x5F,
+    COMBINED: 0x61,
+    COMBINED_REGISTERS: 0x71
+}
+
+const REGISTERS = {
+    SAVE: 0x00,
+    CALSW: 0x01,
+    RSW: 0x02,
+    RRATE: 0x03,
+    READ: 0x27,
+    KEY: 0x69
+}
+
+/**
+ * Configuration registers, as dumped and restored through the plugin REST
+ * API. Registers flagged with restore: false are dumped for reference only:
+ * writing them back could make the sensor unreachable on the current link.
+ */
+const REGISTER_MAP = [
+    { address: 0x02, name: 'RSW', description: 'Output content' },
+    { address: 0x03, name: 'RRATE', description: 'Output rate' },
+    { address: 0x04, name: 'BAUD', description: 'Serial baud rate', restore: false },
+    { address: 0x05, name: 'AXOFFSET', description: 'Acceleration X bias' },
+    { address: 0x06, name: 'AYOFFSET', description: 'Acceleration Y bias' },
+    { address: 0x07, name: 'AZOFFSET', description: 'Acceleration Z bias' },
+    { address: 0x08, name: 'GXOFFSET', description: 'Angular velocity X bias' },
+    { address: 0x09, name: 'GYOFFSET', description: 'Angular velocity Y bias' },
+    { address: 0x0A, name: 'GZOFFSET', description: 'Angular velocity Z bias' },
+    { address: 0x0B, name: 'HXOFFSET', description: 'Magnetic field X bias' },
+    { address: 0x0C, name: 'HYOFFSET', description: 'Magnetic field Y bias' },
+    { address: 0x0D, name: 'HZOFFSET', description: 'Magnetic field Z bias' },
+    { address: 0x0E, name: 'D0MODE', description: 'D0 port mode' },
+    { address: 0x0F, name: 'D1MODE', description: 'D1 port mode' },
+    { address: 0x10, name: 'D2MODE', description: 'D2 port mode' },
+    { address: 0x11, name: 'D3MODE', description: 'D3 port mode' },
+    { address: 0x1A, name: 'IICADDR', description: 'Device address', restore: false },
+    { address: 0x1B, name: 'LEDOFF', description: 'LED off' },
+    { address: 0x1F, name: 'BANDWIDTH', description: 'Bandwidth' },
+    { address: 0x20, name: 'GYRORANGE', description: 'Gyroscope range' },
+    { address: 0x21, name: 'ACCRANGE', description: 'Accelerometer range' },
+    { address: 0x23, name: 'ORIENT', description: 'Installation direction' },
+    { address: 0x24, name: 'AXIS6', description: 'Algorithm (0: 9 axis, 1: 6 axis)' }
+]
+
+/**
+ * @param {string|number} register address (decimal or 0x prefixed) or name
+ * @returns {number|undefined} the register address
+ */
+function parseRegister(register) {
+    const known = REGISTER_MAP.find(entry => entry.name === String(register).toUpperCase())
+    if (known) {
+        return known.address
+    }
+    const address = Number(register)
+    return Number.isInteger(address) && address >= 0 && address <= 0xFF ? address : undefined
+}
+
+/**
+ * Values of the calibration register (CALSW, 0x01)
+ */
+const CALIBRATION_MODES = {
+    NORMAL: 0x00,
+    ACCELEROMETER: 0x01,
+    HEADING_ZERO: 0x04,
+    MAGNETIC: 0x07,
+    ANGLE_REFERENCE: 0x08
+}
+
+/**
+ * Builds a register write command: 0xFF 0xAA ADDR DATAL DATAH
+ *
+ * @param {number} register
+ * @param {number} value 16 bits register value
+ * @returns {Uint8Array}
+ */
+function command(register, value) {
+    return new Uint8Array([0xFF, 0xAA, register, value & 0xFF, (value >> 8) & 0xFF])
+}
+
+const UNLOCK = command(REGISTERS.KEY, 0xB588)
+
+const READ_TIMEOUT = 1000   // ms
+
+/**
+ * Command queue link over the streaming protocol: writes are fire and forget,
+ * reads are answered by a register packet (0x55 0x5F) in the data stream,
+ * which has to be handed over to handleRegisters.
+ *
+ * @param {function(Uint8Array)} write sends raw bytes to the sensor
+ * @returns {{writeRegister: function, readRegisters: function, handleRegisters: function, close: function}}
+ */
+function createWitLink(write) {
+    let pendingRead = null
+
+    function writeRegister(register, value) {
+        write(command(register, value))
+        return Promise.resolve()
+    }
+
+    function readRegisters(register) {
+        return new Promise((resolve, reject) => {
+            const expected = register
+            const timer = setTimeout(() => {
+                pendingRead = null
+                reject(new Error(`no reply reading register 0x${register.toString(16).toUpperCase()}`))
+            }, READ_TIMEOUT)
+            pendingRead = {
+                register: expected,
+                resolve: values => {
+                    clearTimeout(timer)
+                    pendingRead = null
+                    resolve(values)
+                },
+                reject: err => {
+                    clearTimeout(timer)
+                    pendingRead = null
+                    reject(err)
+                }
+            }
+            try {
+                write(command(REGISTERS.READ, register))
+            }
+            catch (err) {
+                pendingRead.reject(err)
+            }
+        })
+    }
+
+    /**
+     * @param {number[]} values of a register read reply
+     * @param {number} [register] first register, when the reply tells
+     */
+    function handleRegisters(values, register) {
+        if (pendingRead && (register === undefined || register === pendingRead.register)) {
+            pendingRead.resolve(values)
+        }
+    }
+
+    function close() {
+        if (pendingRead) {
+            pendingRead.reject(new Error('port closed'))
+        }
+    }
+
+    return { writeRegister, readRegisters, handleRegisters, close }
+}
+
+/**
+ * Output content register (RSW, 0x02): one bit per packet type.
+ * The default flag reproduces the packet set written by earlier versions
+ * of the plugin (0x07CF).
+ */
+const OUTPUT_CONTENT = {
+    time: { bit: 0, type: PACKET_TYPES.TIME, title: 'Time', default: true },
+    acc: { bit: 1, type: PACKET_TYPES.ACC, title: 'Acceleration', default: true },
+    gyro: { bit: 2, type: PACKET_TYPES.GYRO, title: 'Angular velocity', default: true },
+    angle: { bit: 3, type: PACKET_TYPES.ANGLE, title: 'Angle', default: true },
+    mag: { bit: 4, type: PACKET_TYPES.MAG, title: 'Magnetic field', default: false },
+    port: { bit: 5, type: PACKET_TYPES.PORT, title: 'Port status', default: false },
+    pressure: { bit: 6, type: PACKET_TYPES.PRESSURE, title: 'Pressure and height', default: true },
+    gps: { bit: 7, type: PACKET_TYPES.GPS, title: 'GPS position', default: true },
+    groundSpeed: { bit: 8, type: PACKET_TYPES.GROUND_SPEED, title: 'Ground speed', default: true },
+    quaternion: { bit: 9, type: PACKET_TYPES.QUATERNION, title: 'Quaternion', default: true },
+    gpsAccuracy: { bit: 10, type: PACKET_TYPES.GPS_ACCURACY, title: 'GPS accuracy', default: true }
+}
+
+/**
+ * Output content presets, listing the packets each sensor model can provide.
+ */
+const MODEL_PRESETS = {
+    HWT901B: ['time', 'acc', 'gyro', 'angle', 'mag', 'pressure', 'quaternion'],
+    WTGAHRS1: ['time', 'acc', 'gyro', 'angle', 'mag', 'gps', 'groundSpeed', 'quaternion', 'gpsAccuracy'],
+    WTGAHRS2: ['time', 'acc', 'gyro', 'angle', 'mag', 'pressure', 'gps', 'groundSpeed', 'quaternion', 'gpsAccuracy'],
+    WTGAHRS3: ['time', 'acc', 'gyro', 'angle', 'mag', 'pressure', 'gps', 'groundSpeed', 'quaternion', 'gpsAccuracy'],
+    WT901BLE: ['acc', 'gyro', 'angle']
+}
+
+/**
+ * Models sending the combined 0x55 0x61 packet, whose output content is not
+ * selected through RSW.
+ */
+const COMBINED_OUTPUT_MODELS = ['WT901BLE']
+
+/**
+ * @param {string[]} keys OUTPUT_CONTENT keys
+ * @returns {number} RSW register value
+ */
+function outputContentMask(keys) {
+    return keys.reduce((mask, key) => mask | (1 << OUTPUT_CONTENT[key].bit), 0)
+}
+
+/**
+ * @param {number} type byte following the header
+ * @param {boolean} combined the sensor sends combined packets
+ * @returns {number} packet length, 0 for an unknown type
+ */
+function packetLength(type, combined) {
+    if ((type & 0xF0) === 0x50) {
+        return PACKET_LENGTH
+    }
+    if (combined && (type === PACKET_TYPES.COMBINED || type === PACKET_TYPES.COMBINED_REGISTERS)) {
+        return COMBINED_PACKET_LENGTH
+    }
+    return 0
+}
+
+/**
+ * Creates a stream decoder: raw bytes are pushed in as they arrive from the
+ * transport, the decoder keeps whatever is left of an incomplete packet and
+ * resynchronises on the next 0x55 0x5X header when it finds garbage or a
+ * packet whose SUM byte does not match.
+ *
+ * The returned stats object is updated in place:
+ * - goodFrames: packets with a valid checksum
+ * - badChecksums: packets discarded because of a wrong SUM byte
+ * - resyncs: times the decoder had to search for the next header
+ * - bytesSkipped: bytes thrown away while searching
+ *
+ * Combined packets (0x55 0x61, 0x55 0x71) have no SUM byte: they are only
+ * looked for on sensors sending them, and only accepted once the header of
+ * the next packet is seen right after them. On any other sensor 0x55 0x61
+ * is mere payload of a classic packet.
+ *
+ * @param {function(object)} onPacket called with every valid decoded packet
+ * @param {object} [options]
+ * @param {boolean} [options.combined=false] the sensor sends combined packets (COMBINED_OUTPUT_MODELS)
+ * @returns {{push: function(Buffer), reset: function(), stats: object}}
+ */
+function createDecoder(onPacket, options = {}) {
+    const combined = !!options.combined
+    let pending = Buffer.alloc(0)
+    let synced = true
+    const stats = {
+        goodFrames: 0,
+        badChecksums: 0,
+        resyncs: 0,
+        bytesSkipped: 0
+    }
+
+    function skip() {
+        if (synced) {
+            synced = false
+            stats.resyncs++
+        }
+        stats.bytesSkipped++
+    }
+
+    function push(chunk) {
+        const buffer = pending.length ? Buffer.concat([pending, chunk]) : chunk
+        let offset = 0
+
+        while (buffer.length - offset >= 2) {
+            const length = buffer[offset] === HEADER ? packetLength(buffer[offset + 1], combined) : 0
+            if (!length) {
+                skip()
+                offset++
+                continue
+            }
+            // a combined packet waits for the header following it
+            if (buffer.length - offset < length + (length === COMBINED_PACKET_LENGTH ? 1 : 0)) {
+                break
+            }
+            const data = buffer.subarray(offset, offset + length)
+            if (length === PACKET_LENGTH && !checkSum(data)) {
+                stats.badChecksums++
+                skip()
+                offset++
+                continue
+            }
+            // without SUM byte, a combined packet is only trusted when the next one starts right after it
+            if (length === COMBINED_PACKET_LENGTH && buffer[offset + length] !== HEADER) {
+                skip()
+                offset++
+                continue
+            }
+            synced = true
+            stats.goodFrames++
+            offset += length
+            const packet = decodePacket(data)
+            if (packet && packet.type === PACKET_TYPES.COMBINED) {
+                splitCombined(packet).forEach(onPacket)
+            }
+            else if (packet) {
+                onPacket(packet)
+            }
+        }
+
+        pending = Buffer.from(buffer.subarray(offset))
+    }
+
+    function reset() {
+        pending = Buffer.alloc(0)
+        synced = true
+    }
+
+    return { push, reset, stats }
+}
+
+/**
+ * Hands a combined packet over as the classic packets it replaces, so the
+ * rest of the processing does not depend on the sensor series.
+ */
+function splitCombined(packet) {
+    return [
+        { type: PACKET_TYPES.ACC, ax: packet.ax, ay: packet.ay, az: packet.az },
+        { type: PACKET_TYPES.GYRO, wx: packet.wx, wy: packet.wy, wz: packet.wz },
+        { type: PACKET_TYPES.ANGLE, roll: packet.roll, pitch: packet.pitch, yaw: packet.yaw }
+    ]
+}
+
+/**
+ * Converts the NMEA ddmm.mmmmm position the sensor sends without decimal
+ * point (ddmm.mmmmm * 100000) to signed decimal degrees.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function ddmmToDegrees(value) {
+    const magnitude = Math.abs(value)
+    const degrees = Math.floor(magnitude / 10000000) + (magnitude % 10000000) / 100000 / 60
+    return value < 0 ? -degrees : degrees
+}
+
+/**
+ * The last byte of every packet is the low byte of the sum of all the
+ * previous ones, header included.
+ *
+ * @param {Buffer} data a whole packet
+ * @returns {boolean}
+ */
+function checkSum(data) {
+    let sum = 0
+    for (let i = 0; i < data.length - 1; i++) {
+        sum += data[i]
+    }
+    return (sum & 0xFF) === data[data.length - 1]
+}
+
+/**
+ * Decodes a single 11 or 20 bytes packet (header included) into physical units.
+ * Returns undefined for packet types this plugin does not handle.
+ *
+ * @param {Buffer} data
+ * @returns {object|undefined}
+ */
+function decodePacket(data) {
+    switch (data[1]) {
+
+        /******************************************************************
+         * ****************************************************************
+         * Time Output
+         *
+         * 0x55 0x50 YY MM DD hh mm ss msL msH SUM
+         *
+         * YY:Year, 20YY Year
+         * MM:Month
+         * DD:Day
+         * hh:hour
+         * mm:minute
+         * ss:Second
+         * ms:Millisecond
+         * Millisecond calculate formula:
+         * ms=((msH<<8)|msL)
+         * Sum=0x55+0x50+YY+MM+DD+hh+mm+ss+msL+msH
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.TIME:
+            return {
+                type: PACKET_TYPES.TIME,
+                year: 2000 + data.readUInt8(2),
+                month: data.readUInt8(3),
+                day: data.readUInt8(4),
+                hour: data.readUInt8(5),
+                minute: data.readUInt8(6),
+                second: data.readUInt8(7),
+                millisecond: data.readUInt16LE(8)
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Acceleration Output
+         *
+         * 0x55 0x51 AxL AxH AyL AyH AzL AzH TL TH SUM
+         *
+         * Calculate formula:
+         * ax=((AxH<<8)|AxL)/32768*16g(g is Gravity acceleration, 9.8m/s2)
+         * ay=((AyH<<8)|AyL)/32768*16g(g is Gravity acceleration, 9.8m/s2)
+         * az=((AzH<<8)|AzL)/32768*16g(g is Gravity acceleration, 9.8m/s2)
+         * Temperature calculated formular:
+         * T=((TH<<8)|TL)/100 °C
+         * Checksum:
+         * Sum=0x55+0x51+AxH+AxL+AyH+AyL+AzH+AzL+TH+TL
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.ACC:
+            return {
+                type: PACKET_TYPES.ACC,
+                ax: data.readInt16LE(2) / 32768 * 16 * GRAVITY,
+                ay: data.readInt16LE(4) / 32768 * 16 * GRAVITY,
+                az: data.readInt16LE(6) / 32768 * 16 * GRAVITY,
+                temperature: data.readInt16LE(8) / 100
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Angular Velocity Output
+         *
+         * 0x55 0x52 wxL wxH wyL wyH wzL wzH TL TH SUM
+         *
+         * Calculated formular:
+         * wx=((wxH<<8)|wxL)/32768*2000(°/s)
+         * wy=((wyH<<8)|wyL)/32768*2000(°/s)
+         * wz=((wzH<<8)|wzL)/32768*2000(°/s)
+         * Temperature calculated formular:
+         * T=((TH<<8)|TL) /100 °C
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.GYRO:
+            return {
+                type: PACKET_TYPES.GYRO,
+                wx: data.readInt16LE(2) / 32768 * 2000,
+                wy: data.readInt16LE(4) / 32768 * 2000,
+                wz: data.readInt16LE(6) / 32768 * 2000,
+                temperature: data.readInt16LE(8) / 100
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Angle Output
+         *
+         * 0x55 0x53 RollL RollH PitchL PitchH YawL YawH VL VH SUM
+         *
+         * Calculated formular:
+         * Roll(X axis)Roll=((RollH<<8)|RollL)/32768*180(°)
+         * Pitch(Y axis)Pitch=((PitchH<<8)|PitchL)/32768*180(°)
+         * Yaw(Z axis)Yaw=((YawH<<8)|YawL)/32768*180(°)
+         * Version calculated formula:
+         * Version=(VH<<8)|VL
+         * Checksum:
+         * Sum=0x55+0x53+RollH+RollL+PitchH+PitchL+YawH+YawL+VH+VL
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.ANGLE:
+            return {
+                type: PACKET_TYPES.ANGLE,
+                roll: data.readInt16LE(2) / 32768 * 180,
+                pitch: data.readInt16LE(4) / 32768 * 180,
+                yaw: data.readInt16LE(6) / 32768 * 180,
+                version: data.readUInt16LE(8)
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Magnetic Field Output
+         *
+         * 0x55 0x54 HxL HxH HyL HyH HzL HzH TL TH SUM
+         *
+         * Calculated formular:
+         * Hx=(HxH<<8)|HxL
+         * Hy=(HyH<<8)|HyL
+         * Hz=(HzH<<8)|HzL
+         * Temperature calculated formular:
+         * T=((TH<<8)|TL) /100 °C
+         * Checksum:
+         * Sum=0x55+0x54+HxH+HxL+HyH+HyL+HzH+HzL+TH+TL
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.MAG:
+            return {
+                type: PACKET_TYPES.MAG,
+                hx: data.readInt16LE(2),
+                hy: data.readInt16LE(4),
+                hz: data.readInt16LE(6),
+                temperature: data.readInt16LE(8) / 100
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Port Status Output
+         *
+         * 0x55 0x55 D0L D0H D1L D1H D2L D2H D3L D3H SUM
+         *
+         * Calculated formular:
+         * D0 = (D0H<<8)|D0L
+         * D1 = (D1H<<8)|D1L
+         * D2 = (D2H<<8)|D2L
+         * D3 = (D3H<<8)|D3L
+         * Checksum:
+         * Sum=0x55+0x55+D0L+D0H+D1L+D1H+D2L+D2H+D3L+D3H
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.PORT:
+            return {
+                type: PACKET_TYPES.PORT,
+                d0: data.readUInt16LE(2),
+                d1: data.readUInt16LE(4),
+                d2: data.readUInt16LE(6),
+                d3: data.readUInt16LE(8)
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Atmospheric Pressure and Height Output
+         *
+         * 0x55 0x56 P0 P1 P2 P3 H0 H1 H2 H3 SUM
+         *
+         * Calculated formular:
+         * Atmospheric pressure P = (( P3<<24)| ( P2<<16)| ( P1<<8)| P0 (Pa)
+         * Height H = (( H3<<24)| ( H2<<16)| ( H1<<8)| H0(cm)
+         * Checksum:
+         * Sum=0x55+0x56+P0+P1+P2+P3+H0+H1+H2+H3
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.PRESSURE:
+            return {
+                type: PACKET_TYPES.PRESSURE,
+                pressure: data.readInt32LE(2),
+                height: data.readInt32LE(6) / 100
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Longitude and Latitude Output
+         *
+         * 0x55 0x57 Lon0 Lon 1 Lon 2 Lon 3 Lat0 Lat 1 Lat 2 Lat 3 SUM
+         *
+         * Calculated formular:
+         * Longitude Lon = ((Lon 3<<24)| (Lon 2<<16)| (Lon 1<<8)| Lon 0
+         * In NMEA0183 standard , GPS output format is ddmm.mmmmm (dd for the
+         * degree, mm.mmmmm is after decimal point ), the module removes the
+         * decimal point during output, so the degree of longitude can be calculated as
+         * follows:
+         * dd=Lon/100000000;
+         * mm.mmmmm=(Lon%10000000)/100000;(% calculate Remainder)
+         * Latitude Lat = ((Lat 3<<24)| (Lat 2<<16)| (Lat 1<<8)| Lat 0 (cm)
+         * In NMEA0183 standard , GPS output format is ddmm.mmmmm (dd for the
+         * degree, mm.mmmmm is after the decimal point ), the module removes the
+         * decimal point during output, so the degree of latitude can be calculated as
+         * follows::
+         * dd=Lat/100000000;
+         * mm.mmmmm=(Lat%10000000)/100000;(% calculate Remainder)
+         *
+         * The divisor of dd is actually 10000000. Southern latitudes and
+         * western longitudes are negative: dd and mm carry the sign together.
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.GPS:
+            return {
+                type: PACKET_TYPES.GPS,
+                longitude: ddmmToDegrees(data.readInt32LE(2)),
+                latitude: ddmmToDegrees(data.readInt32LE(6))
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Ground Speed Output
+         *
+         * 0x55 0x58 GPSHeightL GPSHeightH GPSYawL GPSYawH GPSV0 GPSV 1 GPSV 2 GPSV 3 SUM
+         *
+         * Calculated formular:
+         * GPSHeight = ((GPSHeightH<<8)| GPSHeightL)/10 (m)
+         * GPSYaw =( (GPSYawH <<8)| GPSYawL)/100 (°)
+         * GPSV = (((GPSV 3<<24)| (GPSV 2<<16)| (GPSV2<<8)|GPSV0)/1000 (km/h)
+         *
+         * Checksum:
+         * Sum=0x55+0x58+ GPSHeightL + GPSHeightH + GPSYawL + GPSYawH + GPSV0+ GPSV 1+ GPSV 2+ GPSV 3
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.GROUND_SPEED:
+            return {
+                type: PACKET_TYPES.GROUND_SPEED,
+                height: data.readInt16LE(2) / 10,
+                yaw: data.readUInt16LE(4) / 100,
+                speed: data.readUInt32LE(6) / 1000 / 3.6     // km/h to m/s
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Quaternion
+         *
+         * 0x55 0x59 Q0L Q0H Q1L Q1H Q2L Q2H Q3L Q3H SUM
+         *
+         * Calculated formular:
+         * Q0=((Q0H<<8)|Q0L)/32768
+         * Q1=((Q1H<<8)|Q1L)/32768
+         * Q2=((Q2H<<8)|Q2L)/32768
+         * Q3=((Q3H<<8)|Q3L)/32768
+         * Checksum:
+         * Sum=0x55+0x59+Q0L+Q0H+Q1L +Q1H +Q2L+Q2H+Q3L+Q3H
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.QUATERNION:
+            return {
+                type: PACKET_TYPES.QUATERNION,
+                q0: data.readInt16LE(2) / 32768,
+                q1: data.readInt16LE(4) / 32768,
+                q2: data.readInt16LE(6) / 32768,
+                q3: data.readInt16LE(8) / 32768
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Satellite Positioning Accuracy Output
+         *
+         * 0x55 0x5A SNL SNH PDOPL PDOPH HDOPL HDOPH VDOPL VDOPH SUM
+         *
+         * Calculated formula:
+         *
+         * Satellite quantity:SN=((SNH<<8)|SNL)
+         * Location positioning accuracy:PDOP=((PDOPH<<8)|PDOPL)/100
+         * Horizontal positioning accuracy:HDOP=(( HDOPH<<8)| HDOPL)/100
+         * Vertical positioning accuracy:VDOP=(( VDOPH<<8)| VDOPL)/100
+         * Checksum:
+         * Sum=0x55+0x5A+ SNL + SNH + PDOPL + PDOPH + HDOPL + HDOPH + VDOPL + VDOPH
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.GPS_ACCURACY:
+            return {
+                type: PACKET_TYPES.GPS_ACCURACY,
+                satellites: data.readInt16LE(2),
+                pdop: data.readUInt16LE(4) / 100,
+                hdop: data.readUInt16LE(6) / 100,
+                vdop: data.readUInt16LE(8) / 100
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Register Read Reply
+         *
+         * sent after a read command 0xFF 0xAA 0x27 ADDR 0x00
+         *
+         * 0x55 0x5F R0L R0H R1L R1H R2L R2H R3L R3H SUM
+         *
+         * R0..R3 are the values of the four registers starting at ADDR:
+         * Rn=(RnH<<8)|RnL
+         * Checksum:
+         * Sum=0x55+0x5F+R0L+R0H+R1L+R1H+R2L+R2H+R3L+R3H
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.REGISTERS:
+            return {
+                type: PACKET_TYPES.REGISTERS,
+                values: [data.readUInt16LE(2), data.readUInt16LE(4), data.readUInt16LE(6), data.readUInt16LE(8)]
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Combined Output (Bluetooth modules, WT901 series)
+         *
+         * 0x55 0x61 axL axH ayL ayH azL azH wxL wxH wyL wyH wzL wzH
+         *           RollL RollH PitchL PitchH YawL YawH
+         *
+         * Calculated formular, same as the separate packets:
+         * ax=((axH<<8)|axL)/32768*16g(g is Gravity acceleration, 9.8m/s2)
+         * wx=((wxH<<8)|wxL)/32768*2000(°/s)
+         * Roll=((RollH<<8)|RollL)/32768*180(°)
+         * No checksum
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.COMBINED:
+            return {
+                type: PACKET_TYPES.COMBINED,
+                ax: data.readInt16LE(2) / 32768 * 16 * GRAVITY,
+                ay: data.readInt16LE(4) / 32768 * 16 * GRAVITY,
+                az: data.readInt16LE(6) / 32768 * 16 * GRAVITY,
+                wx: data.readInt16LE(8) / 32768 * 2000,
+                wy: data.readInt16LE(10) / 32768 * 2000,
+                wz: data.readInt16LE(12) / 32768 * 2000,
+                roll: data.readInt16LE(14) / 32768 * 180,
+                pitch: data.readInt16LE(16) / 32768 * 180,
+                yaw: data.readInt16LE(18) / 32768 * 180
+            }
+
+        /******************************************************************
+         * ****************************************************************
+         * Combined Register Read Reply (Bluetooth modules, WT901 series)
+         *
+         * sent after a read command 0xFF 0xAA 0x27 ADDR 0x00
+         *
+         * 0x55 0x71 ADDRL ADDRH R0L R0H ... R7L R7H
+         *
+         * R0..R7 are the values of the eight registers starting at ADDR
+         * No checksum
+         *
+         * *****************************************************************
+         *******************************************************************/
+
+        case PACKET_TYPES.COMBINED_REGISTERS: {
+            const values = []
+            for (let i = 0; i < 8; i++) {
+                values.push(data.readUInt16LE(4 + 2 * i))
+            }
+            return {
+                type: PACKET_TYPES.REGISTERS,
+                register: data.readUInt16LE(2),
+                values
+            }
+        }
+    }
+}
+
+module.exports = {
+    PACKET_TYPES,
+    PACKET_LENGTH,
+    REGISTERS,
+    REGISTER_MAP,
+    CALIBRATION_MODES,
+    UNLOCK,
+    command,
+    createWitLink,
+    parseRegister,
+    OUTPUT_CONTENT,
+    MODEL_PRESETS,
+    COMBINED_OUTPUT_MODELS,
+    outputContentMask,
+    createDecoder,
+    decodePacket,
+    ddmmToDegrees,
+    checkSum
+}
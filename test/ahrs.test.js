@@ -0,0 +1,60 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ALGORITHMS, createAhrs } = require('../lib/ahrs')
+const { eulerToMatrix } = require('../lib/orientation')
+
+const factRad = Math.PI / 180
+// earth field with a 60° inclination, pointing down to the north
+const FIELD = [Math.cos(60 * factRad), 0, -Math.sin(60 * factRad)]
+
+// gravity and magnetic field as read by a sensor at rest with this attitude
+function reading(roll, pitch, yaw) {
+    const matrix = eulerToMatrix(roll * factRad, pitch * factRad, yaw * factRad)
+    const toSensor = v => [0, 1, 2].map(i => matrix[0][i] * v[0] + matrix[1][i] * v[1] + matrix[2][i] * v[2])
+    return { acc: toSensor([0, 0, 9.8]), mag: toSensor(FIELD) }
+}
+
+function assertAttitude(actual, expected, tolerance) {
+    ['roll', 'pitch', 'yaw'].forEach(angle => {
+        const error = Math.abs(actual[angle] / factRad - expected[angle])
+        assert.ok(error < tolerance, `${angle} ${actual[angle] / factRad}° is not ${expected[angle]}°`)
+    })
+}
+
+test('nothing is known before the first sample', () => {
+    const ahrs = createAhrs()
+    assert.strictEqual(ahrs.attitude(), null)
+    assert.strictEqual(ahrs.quaternion(), null)
+    ahrs.update([0, 0, 0], [0, 0, 0], null, 0.1)
+    assert.strictEqual(ahrs.attitude(), null)
+})
+
+test('the first sample gives the attitude at once', () => {
+    const { acc, mag } = reading(10, -5, 30)
+    const ahrs = createAhrs()
+    ahrs.update([0, 0, 0], acc, mag, 0.1)
+    assertAttitude(ahrs.attitude(), { roll: 10, pitch: -5, yaw: 30 }, 1e-6)
+})
+
+ALGORITHMS.forEach(algorithm => {
+    test(`${algorithm} converges to a static attitude`, () => {
+        const level = reading(0, 0, 0)
+        const { acc, mag } = reading(10, -5, 30)
+        const ahrs = createAhrs({ algorithm })
+        ahrs.update([0, 0, 0], level.acc, level.mag, 0.05)
+        for (let i = 0; i < 20 * 60; i++) {
+            ahrs.update([0, 0, 0], acc, mag, 0.05)
+        }
+        assertAttitude(ahrs.attitude(), { roll: 10, pitch: -5, yaw: 30 }, 0.5)
+    })
+})
+
+test('the gyro alone turns the heading', () => {
+    const { acc } = reading(0, 0, 0)
+    const ahrs = createAhrs()
+    ahrs.update([0, 0, 0], acc, null, 0.05)
+    for (let i = 0; i < 20 * 9; i++) {
+        ahrs.update([0, 0, 10 * factRad], acc, null, 0.05)
+    }
+    assertAttitude(ahrs.attitude(), { roll: 0, pitch: 0, yaw: 90 }, 0.5)
+})
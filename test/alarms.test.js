@@ -0,0 +1,50 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createZoneMonitor, createSuddenMotionMonitor } = require('../lib/alarms')
+
+test('a zone is entered once the value stayed above it for the duration', () => {
+    const monitor = createZoneMonitor({ warn: 10, alarm: 20, emergency: 30, duration: 2 })
+    assert.strictEqual(monitor.update(15, 0), undefined)
+    assert.strictEqual(monitor.update(15, 1000), undefined)
+    assert.strictEqual(monitor.level(), 'normal')
+    assert.strictEqual(monitor.update(-15, 2000), 'warn')
+    assert.strictEqual(monitor.level(), 'warn')
+})
+
+test('a short excursion does not raise the level', () => {
+    const monitor = createZoneMonitor({ warn: 10, duration: 2 })
+    monitor.update(15, 0)
+    monitor.update(5, 1000)
+    assert.strictEqual(monitor.update(15, 2000), undefined)
+    assert.strictEqual(monitor.level(), 'normal')
+})
+
+test('the emergency level is immediate', () => {
+    const monitor = createZoneMonitor({ warn: 10, alarm: 20, emergency: 30, duration: 5 })
+    assert.strictEqual(monitor.update(35, 0), 'emergency')
+})
+
+test('the level drops once below the threshold minus the hysteresis', () => {
+    const monitor = createZoneMonitor({ warn: 10, alarm: 20, hysteresis: 2 })
+    assert.strictEqual(monitor.update(25, 0), 'alarm')
+    assert.strictEqual(monitor.update(19, 100), undefined)
+    assert.strictEqual(monitor.update(17, 200), 'warn')
+    assert.strictEqual(monitor.update(9, 300), undefined)
+    assert.strictEqual(monitor.update(7, 400), 'normal')
+})
+
+test('a disabled level is skipped', () => {
+    const monitor = createZoneMonitor({ warn: 0, alarm: 20 })
+    assert.strictEqual(monitor.update(15, 0), undefined)
+    assert.strictEqual(monitor.update(25, 100), 'alarm')
+})
+
+test('sudden motion is raised at once and cleared after the hold time', () => {
+    const monitor = createSuddenMotionMonitor({ threshold: 5, hold: 10 })
+    assert.strictEqual(monitor.update(-6, 0), 'alarm')
+    assert.strictEqual(monitor.update(7, 1000), undefined)
+    assert.strictEqual(monitor.update(1, 5000), undefined)
+    assert.strictEqual(monitor.level(), 'alarm')
+    assert.strictEqual(monitor.update(1, 11000), 'normal')
+    assert.strictEqual(monitor.level(), 'normal')
+})
@@ -0,0 +1,80 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { seaLevelPressure, classifyTrend, createBarometer } = require('../lib/barometer')
+
+const MINUTE = 60 * 1000
+
+test('sea level reduction', () => {
+    assert.strictEqual(seaLevelPressure(101325, 0), 101325)
+    // about 12 Pa per meter near sea level
+    const reduced = seaLevelPressure(100000, 100)
+    assert.ok(reduced > 101150 && reduced < 101250, `${reduced} Pa`)
+})
+
+test('trends', () => {
+    assert.strictEqual(classifyTrend(5), 'steady')
+    assert.strictEqual(classifyTrend(-100), 'falling slowly')
+    assert.strictEqual(classifyTrend(200), 'rising')
+    assert.strictEqual(classifyTrend(-500), 'falling quickly')
+    assert.strictEqual(classifyTrend(800), 'rising very rapidly')
+})
+
+test('the tendency comes from the history', () => {
+    const barometer = createBarometer()
+    assert.strictEqual(barometer.tendency(1), null)
+    // 1 hPa per hour falling, one reading a minute for 4 hours
+    for (let minute = 0; minute <= 240; minute++) {
+        barometer.update(102000 - minute * 100 / 60, minute * MINUTE)
+    }
+    assert.strictEqual(barometer.pressure(), 101600)
+    assert.ok(Math.abs(barometer.tendency(1) + 100) < 1, `1h ${barometer.tendency(1)}`)
+    assert.ok(Math.abs(barometer.tendency(3) + 300) < 1, `3h ${barometer.tendency(3)}`)
+    assert.strictEqual(barometer.trend(), 'falling')
+    assert.strictEqual(barometer.tendency(5), null)
+    assert.strictEqual(barometer.history().length, 49)
+})
+
+test('no tendency across a hole in the history', () => {
+    const barometer = createBarometer()
+    barometer.update(101000, 0)
+    barometer.update(101000, 5 * MINUTE)
+    barometer.update(101000, 60 * MINUTE)
+    barometer.update(101000, 65 * MINUTE)
+    assert.strictEqual(barometer.tendency(0.5), null)
+    assert.strictEqual(barometer.tendency(1), 0)
+})
+
+test('the history survives a restart', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'barometer-'))
+    const file = path.join(directory, 'wit1-pressure.json')
+    try {
+        const barometer = createBarometer({ file })
+        for (let minute = 0; minute <= 60; minute += 5) {
+            barometer.update(101000 + minute, minute * MINUTE)
+        }
+        barometer.close()
+
+        const restarted = createBarometer({ file })
+        assert.deepStrictEqual(restarted.history(), barometer.history())
+        restarted.update(101100, 65 * MINUTE)
+        assert.strictEqual(restarted.tendency(1), 95)
+    }
+    finally {
+        fs.rmSync(directory, { recursive: true, force: true })
+    }
+})
+
+test('an unreadable history file starts an empty history', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'barometer-'))
+    const file = path.join(directory, 'wit1-pressure.json')
+    try {
+        fs.writeFileSync(file, '{ not json')
+        assert.deepStrictEqual(createBarometer({ file }).history(), [])
+    }
+    finally {
+        fs.rmSync(directory, { recursive: true, force: true })
+    }
+})
@@ -0,0 +1,123 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createCommandQueue } = require('../lib/command-queue')
+const { REGISTERS } = require('../lib/wit-protocol')
+
+// sensor answering register reads with what was written last
+function createLink() {
+    const registers = {}
+    const link = {
+        sent: [],
+        writeRegister: (register, value) => {
+            link.sent.push({ register, value, time: Date.now() })
+            if (register !== REGISTERS.KEY && register !== REGISTERS.SAVE) {
+                registers[register] = value
+            }
+            return Promise.resolve()
+        },
+        readRegisters: register => Promise.resolve([registers[register] || 0, 0, 0, 0])
+    }
+    return link
+}
+
+function commands(link) {
+    return link.sent.map(command => [command.register, command.value])
+}
+
+test('a write is unlocked, read back and saved', async () => {
+    const queue = createCommandQueue()
+    const link = createLink()
+    queue.open(link)
+    assert.strictEqual(await queue.writeRegister(REGISTERS.RRATE, 0x06), 0x06)
+    assert.deepStrictEqual(commands(link), [
+        [REGISTERS.KEY, 0xB588],
+        [REGISTERS.RRATE, 0x06],
+        [REGISTERS.KEY, 0xB588],
+        [REGISTERS.SAVE, 0x0000]
+    ])
+    queue.close()
+})
+
+test('a write can skip the read back and the save', async () => {
+    const queue = createCommandQueue()
+    const link = createLink()
+    link.readRegisters = () => Promise.reject(new Error('unexpected read'))
+    queue.open(link)
+    assert.strictEqual(await queue.writeRegister(REGISTERS.CALSW, 0x07, { verify: false, save: false }), undefined)
+    assert.deepStrictEqual(commands(link), [[REGISTERS.KEY, 0xB588], [REGISTERS.CALSW, 0x07]])
+    queue.close()
+})
+
+test('a write read back with another value is retried then rejected', async () => {
+    const queue = createCommandQueue({ retries: 1 })
+    const link = createLink()
+    link.readRegisters = () => Promise.resolve([0x03, 0, 0, 0])
+    queue.open(link)
+    await assert.rejects(queue.writeRegister(REGISTERS.RRATE, 0x06), /register 0x03 reads 0x03 instead of 0x06/)
+    assert.strictEqual(link.sent.filter(command => command.register === REGISTERS.RRATE).length, 2)
+    assert.ok(link.sent.every(command => command.register !== REGISTERS.SAVE), 'a wrong value was saved')
+
+    // the next job still runs
+    assert.deepStrictEqual(await queue.readRegister(REGISTERS.RRATE), [0x03, 0, 0, 0])
+    queue.close()
+})
+
+test('a job interrupted by the port closing runs again once reopened', async () => {
+    const queue = createCommandQueue()
+    queue.open(createLink())
+    const write = queue.writeRegister(REGISTERS.RRATE, 0x06)
+    await new Promise(resolve => setTimeout(resolve, 100))
+    queue.close()
+    await new Promise(resolve => setTimeout(resolve, 300))
+
+    const link = createLink()
+    const opened = Date.now()
+    queue.open(link)
+    assert.strictEqual(await write, 0x06)
+    assert.ok(link.sent[0].time - opened >= 990, 'the job did not wait for the sensor to start')
+    assert.deepStrictEqual(commands(link).slice(0, 2), [[REGISTERS.KEY, 0xB588], [REGISTERS.RRATE, 0x06]])
+    queue.close()
+})
+
+test('reads and saves', async () => {
+    const queue = createCommandQueue()
+    const link = createLink()
+    queue.open(link)
+    await queue.writeRegister(REGISTERS.RRATE, 0x06, { save: false })
+    assert.deepStrictEqual(await queue.readRegister(REGISTERS.RRATE), [0x06, 0, 0, 0])
+    await queue.saveConfig()
+    assert.deepStrictEqual(commands(link).slice(-2), [[REGISTERS.KEY, 0xB588], [REGISTERS.SAVE, 0x0000]])
+    queue.close()
+})
+
+test('the queue is busy while a job talks to the sensor', async () => {
+    const queue = createCommandQueue()
+    queue.open(createLink())
+    assert.strictEqual(queue.isBusy(), false)
+    const write = queue.writeRegister(REGISTERS.RRATE, 0x06)
+    await new Promise(resolve => setTimeout(resolve, 100))
+    assert.strictEqual(queue.isBusy(), true)
+    await write
+    assert.strictEqual(queue.isBusy(), false)
+    queue.close()
+})
+
+test('closeWith unlocks, waits and writes ahead of the queued jobs', async () => {
+    const queue = createCommandQueue()
+    const link = createLink()
+    queue.open(link)
+    const queued = queue.writeRegister(REGISTERS.RRATE, 0x06)
+    await queue.closeWith(REGISTERS.CALSW, 0x00)
+    assert.deepStrictEqual(link.sent.slice(-2).map(command => [command.register, command.value]), [
+        [REGISTERS.KEY, 0xB588],
+        [REGISTERS.CALSW, 0x00]
+    ])
+    assert.ok(link.sent[link.sent.length - 1].time - link.sent[link.sent.length - 2].time >= 190, 'no delay after the unlock')
+    assert.strictEqual(queue.isOpen(), false)
+    assert.ok(link.sent.every(command => command.register !== REGISTERS.SAVE), 'the queued job went on')
+    await assert.rejects(queue.closeWith(REGISTERS.CALSW, 0x00), /port closed/)
+    queue.close()
+    queue.open(createLink())
+    await queued
+    queue.close()
+})
@@ -0,0 +1,69 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createDeviationTable, createSwing, mergeSwing } = require('../lib/deviation')
+
+const factRad = Math.PI / 180
+
+function near(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`)
+}
+
+test('no table, no deviation', () => {
+    assert.strictEqual(createDeviationTable().deviation(1), 0)
+    near(createDeviationTable([{ heading: 90, deviation: 2 }]).deviation(0), 2 * factRad)
+})
+
+test('the deviation is interpolated between the entries', () => {
+    const table = createDeviationTable([{ heading: 180, deviation: -2 }, { heading: 0, deviation: 2 }, { heading: 90, deviation: 4 }])
+    near(table.deviation(45 * factRad), 3 * factRad)
+    near(table.deviation(90 * factRad), 4 * factRad)
+    near(table.deviation(135 * factRad), 1 * factRad)
+    assert.deepStrictEqual(table.entries().map(entry => entry.heading), [0, 90, 180])
+})
+
+test('the interpolation wraps around north', () => {
+    const table = createDeviationTable([{ heading: 350, deviation: 2 }, { heading: 10, deviation: 4 }])
+    near(table.deviation(0), 3 * factRad)
+    near(table.deviation(-5 * factRad), 2.5 * factRad)
+    near(table.deviation(180 * factRad), 3 * factRad)
+})
+
+test('invalid entries are ignored', () => {
+    const table = createDeviationTable([{ heading: 90, deviation: 2 }, { heading: null, deviation: 5 }, { heading: 10 }])
+    assert.deepStrictEqual(table.entries(), [{ heading: 90, deviation: 2 }])
+})
+
+test('manual bearings are averaged per sector', () => {
+    const swing = createSwing({ points: 4 })
+    swing.addBearing(2 * factRad, 5 * factRad)
+    swing.addBearing(358 * factRad, 359 * factRad)
+    swing.addBearing(88 * factRad, 86 * factRad)
+    assert.deepStrictEqual(swing.table(), [{ heading: 0, deviation: 2 }, { heading: 88, deviation: -2 }])
+    assert.deepStrictEqual(swing.report(), { samples: 3, progress: 0.5 })
+})
+
+test('a reference is only taken once the heading is steady', () => {
+    const swing = createSwing()
+    const heading = 45 * factRad
+    const cog = 48 * factRad
+    assert.strictEqual(swing.addReference(heading, cog, 0), false)
+    assert.strictEqual(swing.addReference(heading, cog, 3000), false)
+    // a turn restarts the steady period
+    assert.strictEqual(swing.addReference(heading + 10 * factRad, cog, 4000), false)
+    assert.strictEqual(swing.addReference(heading, cog, 5000), false)
+    assert.strictEqual(swing.addReference(heading, cog, 9000), false)
+    assert.strictEqual(swing.addReference(heading, cog, 10000), true)
+    assert.deepStrictEqual(swing.table(), [{ heading: 45, deviation: 3 }])
+})
+
+test('a swing replaces the sectors it visited', () => {
+    const swing = createSwing({ points: 4 })
+    swing.addBearing(92 * factRad, 95 * factRad)
+    const merged = mergeSwing([{ heading: 0, deviation: 1 }, { heading: 90, deviation: 1 }, { heading: 180, deviation: 1 }], swing)
+    assert.deepStrictEqual(merged, [
+        { heading: 0, deviation: 1 },
+        { heading: 92, deviation: 3 },
+        { heading: 180, deviation: 1 }
+    ])
+    assert.deepStrictEqual(mergeSwing(undefined, swing), [{ heading: 92, deviation: 3 }])
+})
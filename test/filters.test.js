@@ -0,0 +1,81 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createFilter } = require('../lib/filters')
+
+const factRad = Math.PI / 180
+
+function near(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`)
+}
+
+test('the average covers the last period', () => {
+    const filter = createFilter({ type: 'average', period: 1 })
+    assert.strictEqual(filter.push(1, 0), 1)
+    assert.strictEqual(filter.push(2, 500), 1.5)
+    assert.strictEqual(filter.push(3, 1000), 2)
+    // the first sample is now older than the period
+    assert.strictEqual(filter.push(4, 1500), 3)
+})
+
+test('the median ignores a spike', () => {
+    const filter = createFilter({ type: 'median', period: 1 })
+    filter.push(1, 0)
+    filter.push(2, 100)
+    assert.strictEqual(filter.push(50, 200), 2)
+    assert.strictEqual(filter.push(3, 300), 2.5)
+})
+
+test('the low-pass follows a step with its time constant', () => {
+    const filter = createFilter({ type: 'low-pass', period: 2 })
+    assert.strictEqual(filter.push(0, 0), 0)
+    near(filter.push(1, 2000), 1 - Math.exp(-1))
+})
+
+test('the low-pass does not depend on the sample rate', () => {
+    const slow = createFilter({ type: 'low-pass', period: 1 })
+    const fast = createFilter({ type: 'low-pass', period: 1 })
+    slow.push(0, 0)
+    fast.push(0, 0)
+    let fastOutput
+    for (let time = 10; time <= 1000; time += 10) {
+        fastOutput = fast.push(1, time)
+    }
+    near(slow.push(1, 1000), fastOutput)
+})
+
+test('circular filters stay around north', () => {
+    ['average', 'median'].forEach(type => {
+        const filter = createFilter({ type, period: 1, circular: true })
+        filter.push(359 * factRad, 0)
+        near(filter.push(1 * factRad, 1000), 0)
+    })
+    const lowPass = createFilter({ type: 'low-pass', period: 1, circular: true })
+    lowPass.push(359 * factRad, 0)
+    const output = lowPass.push(1 * factRad, 1000)
+    assert.ok(output > 0 && output < 1 * factRad, `${output / factRad}°`)
+})
+
+test('the circular median ignores a spike', () => {
+    const filter = createFilter({ type: 'median', period: 1, circular: true })
+    filter.push(358 * factRad, 0)
+    filter.push(2 * factRad, 100)
+    filter.push(0, 200)
+    near(filter.push(90 * factRad, 300), 1 * factRad)
+})
+
+test('reset forgets the previous values', () => {
+    const filter = createFilter({ type: 'average', period: 10 })
+    filter.push(10, 0)
+    filter.reset()
+    assert.strictEqual(filter.push(2, 100), 2)
+    const lowPass = createFilter({ type: 'low-pass', period: 10 })
+    lowPass.push(10, 0)
+    lowPass.reset()
+    assert.strictEqual(lowPass.push(2, 100), 2)
+})
+
+test('unknown types fall back to the average', () => {
+    const filter = createFilter({ type: 'kalman' })
+    filter.push(1, 0)
+    assert.strictEqual(filter.push(3, 100), 2)
+})
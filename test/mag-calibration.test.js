@@ -0,0 +1,57 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createMagCalibration } = require('../lib/mag-calibration')
+
+// horizontal field circling a hard-iron offset, from one heading to another
+function turn(calibration, from, to, radius = { x: 30, y: 30 }) {
+    for (let heading = from; heading < to; heading += 5) {
+        const angle = heading * Math.PI / 180
+        calibration.addSample(10 + radius.x * Math.cos(angle), -20 + radius.y * Math.sin(angle), 40)
+    }
+}
+
+test('nothing is reported before the first sample', () => {
+    const report = createMagCalibration().report()
+    assert.strictEqual(report.samples, 0)
+    assert.strictEqual(report.progress, 0)
+    assert.strictEqual(report.quality, 0)
+})
+
+test('a full turn covers every sector around the hard-iron offset', () => {
+    const calibration = createMagCalibration()
+    turn(calibration, 0, 360)
+    const report = calibration.report()
+    assert.strictEqual(report.samples, 72)
+    assert.strictEqual(report.progress, 1)
+    assert.ok(report.quality > 0.99, `quality ${report.quality}`)
+    assert.deepStrictEqual(report.offset, { x: 10, y: -20, z: 40 })
+})
+
+test('the progress grows until the turn is complete', () => {
+    const calibration = createMagCalibration()
+    turn(calibration, 0, 90)
+    const quarter = calibration.report().progress
+    turn(calibration, 90, 270)
+    const threeQuarters = calibration.report().progress
+    turn(calibration, 270, 360)
+    assert.ok(quarter < threeQuarters && threeQuarters < 1, `${quarter}, ${threeQuarters}`)
+    assert.strictEqual(calibration.report().progress, 1)
+})
+
+test('soft-iron distortion lowers the quality', () => {
+    const calibration = createMagCalibration()
+    turn(calibration, 0, 360, { x: 40, y: 20 })
+    const report = calibration.report()
+    assert.strictEqual(report.progress, 1)
+    assert.ok(Math.abs(report.quality - 0.5) < 0.01, `quality ${report.quality}`)
+})
+
+test('long sessions keep a bounded number of samples', () => {
+    const calibration = createMagCalibration()
+    for (let i = 0; i < 100; i++) {
+        turn(calibration, 0, 360)
+    }
+    const report = calibration.report()
+    assert.ok(report.samples <= 5000, `${report.samples} samples`)
+    assert.strictEqual(report.progress, 1)
+})
@@ -0,0 +1,113 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { crc16, createModbusMaster, poll } = require('../lib/modbus')
+const { PACKET_TYPES } = require('../lib/wit-protocol')
+
+function bytes(hex) {
+    return Buffer.from(hex.replace(/ /g, ''), 'hex')
+}
+
+// reply frame with its CRC, low byte first
+function reply(hex) {
+    const data = bytes(hex)
+    const crc = Buffer.alloc(2)
+    crc.writeUInt16LE(crc16(data))
+    return Buffer.concat([data, crc])
+}
+
+function createBus(timeout) {
+    const written = []
+    const master = createModbusMaster({ write: data => written.push(Buffer.from(data)), timeout })
+    return { master, written }
+}
+
+test('crc16 matches reference frames', () => {
+    assert.strictEqual(crc16(bytes('01 03 00 00 00 01')), 0x0A84)
+    assert.strictEqual(crc16(bytes('01 06 00 01 00 03')), 0x0B98)
+    // WIT manual: read roll, pitch and yaw of slave 0x50
+    assert.strictEqual(crc16(bytes('50 03 00 3D 00 03')), 0x8699)
+})
+
+test('read holding registers request and reply', async () => {
+    const { master, written } = createBus()
+    const values = master.readRegisters(0x50, 0x3D, 3)
+    await new Promise(setImmediate)
+    assert.deepStrictEqual(written, [bytes('50 03 00 3D 00 03 99 86')])
+
+    master.push(reply('50 03 06 0E 39 F1 C7 40 00'))
+    assert.deepStrictEqual(await values, [0x0E39, 0xF1C7, 0x4000])
+    assert.deepStrictEqual(master.stats(0x50), { replies: 1, badChecksums: 0, timeouts: 0 })
+})
+
+test('reply split across chunks after line noise', async () => {
+    const { master } = createBus()
+    const values = master.readRegisters(0x50, 0x3D, 3)
+    await new Promise(setImmediate)
+
+    const frame = reply('50 03 06 0E 39 F1 C7 40 00')
+    master.push(Buffer.concat([bytes('00 FF'), frame.subarray(0, 4)]))
+    master.push(frame.subarray(4))
+    assert.deepStrictEqual(await values, [0x0E39, 0xF1C7, 0x4000])
+})
+
+test('write single register is answered by its echo', async () => {
+    const { master, written } = createBus()
+    const done = master.writeRegister(0x01, 0x0001, 0x0003)
+    await new Promise(setImmediate)
+    assert.deepStrictEqual(written, [bytes('01 06 00 01 00 03 98 0B')])
+
+    master.push(bytes('01 06 00 01 00 03 98 0B'))
+    assert.strictEqual(await done, undefined)
+})
+
+test('bad checksum is discarded and the request times out', async () => {
+    const { master } = createBus(20)
+    const values = master.readRegisters(0x50, 0x3D, 3)
+    await new Promise(setImmediate)
+
+    const frame = reply('50 03 06 0E 39 F1 C7 40 00')
+    frame[frame.length - 1] ^= 0xFF
+    master.push(frame)
+    await assert.rejects(values, /no reply from slave 0x50/)
+    assert.deepStrictEqual(master.stats(0x50), { replies: 0, badChecksums: 1, timeouts: 1 })
+})
+
+test('exception reply rejects the request', async () => {
+    const { master } = createBus()
+    const values = master.readRegisters(0x50, 0x3D, 3)
+    await new Promise(setImmediate)
+
+    master.push(reply('50 83 02'))
+    await assert.rejects(values, /slave 0x50 exception 2/)
+})
+
+test('requests wait for the previous reply', async () => {
+    const { master, written } = createBus()
+    const first = master.readRegisters(0x50, 0x3D, 3)
+    const second = master.readRegisters(0x51, 0x3D, 3)
+    await new Promise(setImmediate)
+    assert.strictEqual(written.length, 1)
+
+    master.push(reply('50 03 06 00 00 00 00 00 00'))
+    await first
+    await new Promise(setImmediate)
+    assert.strictEqual(written.length, 2)
+    assert.strictEqual(written[1][0], 0x51)
+
+    master.push(reply('51 03 06 00 01 00 02 00 03'))
+    assert.deepStrictEqual(await second, [1, 2, 3])
+})
+
+test('poll only reads the blocks of the selected output', async () => {
+    const reads = []
+    const master = {
+        readRegisters: (slave, register, count) => {
+            reads.push(register)
+            // pressure 101325 Pa, height 12.34 m
+            return Promise.resolve([0x8BCD, 0x0001, 1234, 0].concat(new Array(count - 4).fill(0)))
+        }
+    }
+    const packets = await poll(master, 0x50, ['pressure'])
+    assert.deepStrictEqual(reads, [0x45])
+    assert.deepStrictEqual(packets, [{ type: PACKET_TYPES.PRESSURE, pressure: 101325, height: 12.34 }])
+})
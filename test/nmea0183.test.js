@@ -0,0 +1,78 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { SENTENCES, buildSentence } = require('../lib/nmea0183')
+
+const factRad = Math.PI / 180
+
+// sentence with its checksum computed here
+function nmea(body) {
+    let sum = 0
+    for (let i = 0; i < body.length; i++) {
+        sum ^= body.charCodeAt(i)
+    }
+    return `$${body}*${sum.toString(16).toUpperCase().padStart(2, '0')}`
+}
+
+function values(entries) {
+    return new Map(Object.entries(entries))
+}
+
+const POSITION = {
+    'navigation.position': { latitude: 48.1173, longitude: -11.5166667 },
+    'navigation.datetime': '2024-03-23T12:35:19.250Z'
+}
+
+test('the checksum matches a reference sentence', () => {
+    assert.strictEqual(nmea('GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W'),
+        '$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6A')
+    assert.strictEqual(buildSentence('HDM', 'HC', values({ 'navigation.headingMagnetic': 238.5 * factRad })), nmea('HCHDM,238.5,M'))
+})
+
+test('headings are given between 0 and 360°', () => {
+    assert.strictEqual(buildSentence('HDM', 'II', values({ 'navigation.headingMagnetic': -10 * factRad })), nmea('IIHDM,350.0,M'))
+})
+
+test('HDG carries deviation and variation', () => {
+    const hdg = buildSentence('HDG', 'II', values({
+        'navigation.headingCompass': 100 * factRad,
+        'navigation.magneticDeviation': -2 * factRad
+    }), 1.5 * factRad)
+    assert.strictEqual(hdg, nmea('IIHDG,100.0,2.0,W,1.5,E'))
+    const unknown = buildSentence('HDG', 'II', values({ 'navigation.headingCompass': 100 * factRad }), null)
+    assert.strictEqual(unknown, nmea('IIHDG,100.0,,,,'))
+})
+
+test('ROT is in degrees per minute', () => {
+    assert.strictEqual(buildSentence('ROT', 'II', values({ 'navigation.rateOfTurn': -0.5 * factRad })), nmea('IIROT,-30.0,A'))
+})
+
+test('XDR holds the measurements available', () => {
+    const xdr = buildSentence('XDR', 'II', values({
+        'navigation.attitude': { roll: 10 * factRad, pitch: -2 * factRad, yaw: 0 },
+        'environment.inside.pressure': 101325,
+        'environment.inside.temperature': 298.15
+    }))
+    assert.strictEqual(xdr, nmea('IIXDR,A,-2.0,D,PTCH,A,10.0,D,ROLL,P,1.01325,B,Barometer,C,25.0,C,TempInside'))
+    assert.strictEqual(buildSentence('XDR', 'II', values({ 'environment.inside.pressure': 100000 })), nmea('IIXDR,P,1.00000,B,Barometer'))
+})
+
+test('RMC and GGA from the sensor position', () => {
+    const position = values(Object.assign({
+        'navigation.speedOverGround': 5.144,
+        'navigation.courseOverGroundTrue': 84.4 * factRad,
+        'navigation.gnss.satellites': 8,
+        'navigation.gnss.horizontalDilution': 0.9,
+        'navigation.gnss.antennaAltitude': 545.4
+    }, POSITION))
+    assert.strictEqual(buildSentence('RMC', 'GP', position, -3.1 * factRad),
+        nmea('GPRMC,123519.25,A,4807.0380,N,01131.0000,W,10.0,84.4,230324,3.1,W,A'))
+    assert.strictEqual(buildSentence('GGA', 'GP', position),
+        nmea('GPGGA,123519.25,4807.0380,N,01131.0000,W,1,08,0.9,545.4,M,,M,,'))
+})
+
+test('missing data builds no sentence', () => {
+    const empty = values({})
+    SENTENCES.forEach(id => assert.strictEqual(buildSentence(id, 'II', empty, null), null, id))
+    assert.strictEqual(buildSentence('HDM', 'II', values({ 'navigation.headingMagnetic': null })), null)
+    assert.strictEqual(buildSentence('MWV', 'II', values({ 'navigation.headingMagnetic': 1 })), null)
+})
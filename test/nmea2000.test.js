@@ -0,0 +1,44 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { PGNS, pgnPaths, buildPgn } = require('../lib/nmea2000')
+
+function values(entries) {
+    return new Map(Object.entries(entries))
+}
+
+test('attitude', () => {
+    const attitude = { roll: 0.1, pitch: -0.05, yaw: 1.2 }
+    assert.deepStrictEqual(buildPgn(PGNS.ATTITUDE, values({ 'navigation.attitude': attitude }), { sid: 7 }), {
+        pgn: 127257,
+        prio: 3,
+        dst: 255,
+        fields: { SID: 7, Yaw: 1.2, Pitch: -0.05, Roll: 0.1 }
+    })
+})
+
+test('vessel heading leaves out what is unknown', () => {
+    const heading = values({ 'navigation.headingCompass': 1.5, 'navigation.magneticDeviation': -0.02 })
+    assert.deepStrictEqual(buildPgn(PGNS.VESSEL_HEADING, heading, { sid: 1, variation: 0.03 }).fields,
+        { SID: 1, Heading: 1.5, Deviation: -0.02, Variation: 0.03, Reference: 'Magnetic' })
+    assert.deepStrictEqual(buildPgn(PGNS.VESSEL_HEADING, values({ 'navigation.headingCompass': 1.5 }), { sid: 1 }).fields,
+        { SID: 1, Heading: 1.5, Reference: 'Magnetic' })
+})
+
+test('rate of turn and pressure', () => {
+    assert.deepStrictEqual(buildPgn(PGNS.RATE_OF_TURN, values({ 'navigation.rateOfTurn': -0.01 }), { sid: 2 }),
+        { pgn: 127251, prio: 2, dst: 255, fields: { SID: 2, Rate: -0.01 } })
+    assert.deepStrictEqual(buildPgn(PGNS.ACTUAL_PRESSURE, values({ 'environment.inside.pressure': 101325 }), { sid: 2, instance: 3 }),
+        { pgn: 130314, prio: 5, dst: 255, fields: { SID: 2, Instance: 3, Source: 'Atmospheric', Pressure: 101325 } })
+})
+
+test('missing data builds no PGN', () => {
+    Object.values(PGNS).forEach(pgn => assert.strictEqual(buildPgn(pgn, values({}), { sid: 0 }), null, pgn))
+    assert.strictEqual(buildPgn(PGNS.ATTITUDE, values({ 'navigation.attitude': { yaw: 1 } }), { sid: 0 }), null)
+    assert.strictEqual(buildPgn(129025, values({ 'navigation.position': {} }), { sid: 0 }), null)
+})
+
+test('paths each PGN is built from', () => {
+    assert.deepStrictEqual(pgnPaths(PGNS.VESSEL_HEADING), ['navigation.headingCompass'])
+    assert.deepStrictEqual(pgnPaths(PGNS.ACTUAL_PRESSURE), ['environment.inside.pressure'])
+    assert.deepStrictEqual(pgnPaths(129025), [])
+})
@@ -0,0 +1,83 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const {
+    ORIENTATIONS,
+    createMounting,
+    eulerToMatrix,
+    matrixToEuler,
+    quaternionToMatrix,
+    matrixToQuaternion
+} = require('../lib/orientation')
+
+const factRad = Math.PI / 180
+
+function near(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`)
+}
+
+function nearAttitude(actual, expected) {
+    near(actual.roll, expected.roll * factRad)
+    near(actual.pitch, expected.pitch * factRad)
+    near(actual.yaw, expected.yaw * factRad)
+}
+
+function radians(degrees) {
+    return { roll: degrees.roll * factRad, pitch: degrees.pitch * factRad, yaw: degrees.yaw * factRad }
+}
+
+test('every right-angle mounting is listed once', () => {
+    assert.strictEqual(ORIENTATIONS.length, 24)
+    assert.strictEqual(new Set(ORIENTATIONS).size, 24)
+    assert.ok(ORIENTATIONS.includes('X forward, Z up'))
+    assert.ok(!ORIENTATIONS.includes('X forward, -X up'))
+})
+
+test('the default mounting passes the sensor values through', () => {
+    const mounting = createMounting()
+    assert.deepStrictEqual(mounting.vector([1, 2, 3]), [1, 2, 3])
+    nearAttitude(mounting.attitude(radians({ roll: 10, pitch: -20, yaw: 30 })), { roll: 10, pitch: -20, yaw: 30 })
+})
+
+test('an unknown orientation falls back to the default', () => {
+    assert.deepStrictEqual(createMounting({ orientation: 'sideways' }).vector([1, 2, 3]), [1, 2, 3])
+})
+
+test('Y forward turns the sensor pitch into the boat roll', () => {
+    const mounting = createMounting({ orientation: 'Y forward, Z up' })
+    assert.deepStrictEqual(mounting.vector([1, 2, 3]), [2, -1, 3])
+    nearAttitude(mounting.attitude(radians({ roll: 0, pitch: 10, yaw: 0 })), { roll: 10, pitch: 0, yaw: 90 })
+    nearAttitude(mounting.attitude(radians({ roll: 10, pitch: 0, yaw: 0 })), { roll: 0, pitch: -10, yaw: 90 })
+})
+
+test('a bulkhead mounting sees gravity along its X axis', () => {
+    const mounting = createMounting({ orientation: 'Z forward, X up' })
+    assert.deepStrictEqual(mounting.vector([9.8, 0, 0]), [0, 0, 9.8])
+    assert.deepStrictEqual(mounting.vector([0, 0, 1]), [1, 0, 0])
+})
+
+test('the offsets remove what the sensor reads with the boat level', () => {
+    const mounting = createMounting({ rollOffset: 5, pitchOffset: -3 })
+    nearAttitude(mounting.attitude(radians({ roll: 5, pitch: -3, yaw: 0 })), { roll: 0, pitch: 0, yaw: 0 })
+    const yawed = createMounting({ yawOffset: 4 })
+    nearAttitude(yawed.attitude(radians({ roll: 0, pitch: 0, yaw: 94 })), { roll: 0, pitch: 0, yaw: 90 })
+})
+
+test('the quaternion follows the attitude', () => {
+    const mounting = createMounting({ orientation: 'Y forward, Z up', rollOffset: 2 })
+    const sensor = radians({ roll: 10, pitch: -20, yaw: 30 })
+    const q = matrixToQuaternion(eulerToMatrix(sensor.roll, sensor.pitch, sensor.yaw))
+    const fromQuaternion = matrixToEuler(quaternionToMatrix(mounting.quaternion(q)))
+    const fromAngles = mounting.attitude(sensor)
+    near(fromQuaternion.roll, fromAngles.roll)
+    near(fromQuaternion.pitch, fromAngles.pitch)
+    near(fromQuaternion.yaw, fromAngles.yaw)
+})
+
+test('quaternion and matrix conversions round trip', () => {
+    [{ roll: 10, pitch: -20, yaw: 30 }, { roll: 170, pitch: 5, yaw: -120 }, { roll: 0, pitch: 0, yaw: 180 }].forEach(angles => {
+        const m = eulerToMatrix(angles.roll * factRad, angles.pitch * factRad, angles.yaw * factRad)
+        const back = quaternionToMatrix(matrixToQuaternion(m))
+        m.forEach((row, i) => row.forEach((value, j) => near(back[i][j], value)))
+        nearAttitude(matrixToEuler(m), angles)
+    })
+})
@@ -0,0 +1,55 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createSeaState } = require('../lib/sea-state')
+
+const LEVEL = { roll: 0, pitch: 0 }
+
+// 1 m high, 8 s period swell sampled at 20 Hz for 7 minutes
+function swell(seaState, arrival = i => i * 50, dt) {
+    const omega = 2 * Math.PI / 8
+    for (let i = 0; i < 20 * 420; i++) {
+        const az = 9.8 - 0.5 * omega * omega * Math.sin(omega * i / 20)
+        seaState.update(arrival(i), { ax: 0, ay: 0, az }, LEVEL, dt)
+    }
+    return seaState.statistics()
+}
+
+test('no statistics before a minute of data', () => {
+    const seaState = createSeaState()
+    for (let i = 0; i < 20 * 30; i++) {
+        seaState.update(i * 50, { ax: 0, ay: 0, az: 9.8 }, LEVEL)
+    }
+    assert.strictEqual(seaState.statistics(), undefined)
+})
+
+test('a calm sea has no waves', () => {
+    const seaState = createSeaState()
+    for (let i = 0; i < 20 * 120; i++) {
+        seaState.update(i * 50, { ax: 0, ay: 0, az: 9.8 }, LEVEL)
+    }
+    assert.strictEqual(seaState.statistics().significantHeight, 0)
+})
+
+// Hs of a 1 m sine is 4 * 0.5 / sqrt(2), a little less through the high-pass filters
+function assertSwell(statistics) {
+    assert.ok(statistics.significantHeight > 1.2 && statistics.significantHeight < 1.5, `Hs ${statistics.significantHeight}`)
+    assert.ok(Math.abs(statistics.meanPeriod - 8) < 0.5, `mean period ${statistics.meanPeriod}`)
+    assert.ok(Math.abs(statistics.peakPeriod - 8) < 0.2, `peak period ${statistics.peakPeriod}`)
+}
+
+test('a regular swell', () => {
+    assertSwell(swell(createSeaState()))
+})
+
+test('samples sharing their arrival time use the given period', () => {
+    assertSwell(swell(createSeaState(), i => Math.floor(i / 4) * 200, 0.05))
+})
+
+test('gravity seen on a heeled boat is not a wave', () => {
+    const seaState = createSeaState()
+    const roll = 20 * Math.PI / 180
+    for (let i = 0; i < 20 * 120; i++) {
+        seaState.update(i * 50, { ax: 0, ay: 9.8 * Math.sin(roll), az: 9.8 * Math.cos(roll) }, { roll, pitch: 0 })
+    }
+    assert.ok(seaState.statistics().significantHeight < 1e-6)
+})
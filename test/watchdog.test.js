@@ -0,0 +1,75 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const net = require('net')
+const os = require('os')
+
+// no serial port is opened by these tests, the native binding is not needed
+const serialport = require.resolve('serialport')
+require.cache[serialport] = { id: serialport, filename: serialport, loaded: true, exports: function SerialPort() {} }
+
+function createApp() {
+    return {
+        debug: () => {},
+        error: () => {},
+        handleMessage: () => {},
+        setPluginStatus: () => {},
+        setPluginError: () => {},
+        savePluginOptions: () => {},
+        registerPutHandler: () => {},
+        getDataDirPath: () => os.tmpdir()
+    }
+}
+
+test('a silent sensor is reopened again and again', { timeout: 20000 }, async () => {
+    let connections = 0
+    const server = net.createServer(socket => {
+        connections++
+        socket.on('error', () => {})
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+    const plugin = require('..')(createApp())
+    plugin.start({
+        devices: [{
+            transport: 'tcp-client',
+            host: '127.0.0.1',
+            port: server.address().port,
+            freq: '10Hz',
+            zOffset: 0,
+            mounting: {},
+            staleTimeout: 1
+        }]
+    })
+
+    const start = Date.now()
+    while (connections < 3 && Date.now() - start < 15000) {
+        await new Promise(resolve => setTimeout(resolve, 100))
+    }
+    plugin.stop()
+    server.close()
+    assert.ok(connections >= 3, `${connections} connections`)
+})
+
+test('a silent sensor does not close a listening server', { timeout: 20000 }, async () => {
+    const probe = net.createServer()
+    await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve))
+    const port = probe.address().port
+    await new Promise(resolve => probe.close(resolve))
+
+    const plugin = require('..')(createApp())
+    plugin.start({
+        devices: [{ transport: 'tcp-server', port, freq: '10Hz', zOffset: 0, mounting: {}, staleTimeout: 1 }]
+    })
+    await new Promise(resolve => setTimeout(resolve, 200))
+
+    let closed = false
+    const sensor = net.createConnection({ host: '127.0.0.1', port })
+    sensor.on('error', () => {})
+    sensor.on('close', () => { closed = true })
+    await new Promise(resolve => setTimeout(resolve, 4000))
+    const stale = plugin.deviceStates[0].stale
+    sensor.destroy()
+    plugin.stop()
+    assert.strictEqual(stale, true)
+    assert.strictEqual(closed, false)
+})
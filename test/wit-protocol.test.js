@@ -0,0 +1,156 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { PACKET_TYPES, UNLOCK, command, createDecoder, checkSum, ddmmToDegrees } = require('../lib/wit-protocol')
+
+function bytes(hex) {
+    return Buffer.from(hex.replace(/ /g, ''), 'hex')
+}
+
+function near(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-3, `${actual} is not ${expected}`)
+}
+
+// az 1 g, 25.00 °C
+const ACC = '55 51 00 00 00 00 00 08 C4 09 7B'
+// at rest, 25.00 °C
+const GYRO = '55 52 00 00 00 00 00 00 C4 09 74'
+// roll 20°, pitch -20°, yaw 90°
+const ANGLE = '55 53 39 0E C7 F1 00 40 00 00 E7'
+// az 1 g, at rest, roll 20°, pitch -20°, yaw 90°
+const COMBINED = '55 61 00 00 00 00 00 08 00 00 00 00 00 00 39 0E C7 F1 00 40'
+// registers 0x02 to 0x09
+const COMBINED_REGISTERS = '55 71 02 00 1E 00 06 00 02 00 00 00 00 00 00 00 00 00 00 00'
+
+function decode(chunks, options) {
+    const packets = []
+    const decoder = createDecoder(packet => packets.push(packet), options)
+    chunks.forEach(chunk => decoder.push(bytes(chunk)))
+    return { packets, stats: decoder.stats }
+}
+
+function types(packets) {
+    return packets.map(packet => packet.type)
+}
+
+test('classic packets are decoded', () => {
+    const { packets } = decode([ACC + GYRO + ANGLE])
+    assert.deepStrictEqual(types(packets), [PACKET_TYPES.ACC, PACKET_TYPES.GYRO, PACKET_TYPES.ANGLE])
+    assert.deepStrictEqual(packets[0], { type: PACKET_TYPES.ACC, ax: 0, ay: 0, az: 9.8, temperature: 25 })
+    assert.deepStrictEqual(packets[1], { type: PACKET_TYPES.GYRO, wx: 0, wy: 0, wz: 0, temperature: 25 })
+    near(packets[2].roll, 20)
+    near(packets[2].pitch, -20)
+    near(packets[2].yaw, 90)
+})
+
+test('a packet split across chunks is decoded once complete', () => {
+    const packet = bytes(ACC)
+    const packets = []
+    const decoder = createDecoder(decoded => packets.push(decoded))
+    decoder.push(packet.subarray(0, 4))
+    assert.strictEqual(packets.length, 0)
+    decoder.push(packet.subarray(4))
+    assert.deepStrictEqual(types(packets), [PACKET_TYPES.ACC])
+})
+
+test('garbage is skipped up to the next header', () => {
+    const { packets } = decode(['12 34 56 ' + ACC])
+    assert.deepStrictEqual(types(packets), [PACKET_TYPES.ACC])
+})
+
+test('a missing packet does not affect the others', () => {
+    const { packets } = decode([ACC + ANGLE.slice(0, 14) + GYRO])
+    assert.deepStrictEqual(types(packets), [PACKET_TYPES.ACC, PACKET_TYPES.GYRO])
+})
+
+test('reset drops an incomplete packet', () => {
+    const packets = []
+    const decoder = createDecoder(packet => packets.push(packet))
+    decoder.push(bytes(ACC).subarray(0, 6))
+    decoder.reset()
+    decoder.push(bytes(ACC).subarray(6))
+    decoder.push(bytes(GYRO))
+    assert.deepStrictEqual(types(packets), [PACKET_TYPES.GYRO])
+})
+
+test('checksum', () => {
+    assert.strictEqual(checkSum(bytes(ACC)), true)
+    assert.strictEqual(checkSum(bytes(ACC.replace(/7B$/, '7C'))), false)
+})
+
+test('valid packets are counted', () => {
+    const { stats } = decode([ACC + GYRO + ANGLE])
+    assert.deepStrictEqual(stats, { goodFrames: 3, badChecksums: 0, resyncs: 0, bytesSkipped: 0 })
+})
+
+test('a packet with a wrong checksum is discarded', () => {
+    const { packets, stats } = decode([ACC.replace(/7B$/, '7C') + GYRO])
+    assert.deepStrictEqual(types(packets), [PACKET_TYPES.GYRO])
+    assert.deepStrictEqual(stats, { goodFrames: 1, badChecksums: 1, resyncs: 1, bytesSkipped: 11 })
+})
+
+test('a resync counts once however many bytes are skipped', () => {
+    const { stats } = decode(['12 34 56 ' + ACC + '78 9A ' + GYRO])
+    assert.deepStrictEqual(stats, { goodFrames: 2, badChecksums: 0, resyncs: 2, bytesSkipped: 5 })
+})
+
+test('combined packets are ignored on classic sensors', () => {
+    const { packets } = decode([COMBINED + ACC])
+    assert.deepStrictEqual(types(packets), [PACKET_TYPES.ACC])
+})
+
+test('0x55 0x61 in the payload of a broken classic packet is not a combined packet', () => {
+    // acceleration whose payload starts with 55 61, SUM 0x31 corrupted to 0x32
+    const broken = '55 51 55 61 00 00 00 08 C4 09 32'
+    const { packets, stats } = decode(['12 34', broken + GYRO])
+    assert.deepStrictEqual(types(packets), [PACKET_TYPES.GYRO])
+    assert.strictEqual(stats.badChecksums, 1)
+
+    const valid = decode(['12 34', broken.replace(/32$/, '31') + GYRO])
+    assert.deepStrictEqual(types(valid.packets), [PACKET_TYPES.ACC, PACKET_TYPES.GYRO])
+})
+
+test('combined packets are split into acceleration, angular velocity and angle', () => {
+    const { packets, stats } = decode([COMBINED + COMBINED], { combined: true })
+    // the second one waits for the header of the next packet
+    assert.deepStrictEqual(types(packets), [PACKET_TYPES.ACC, PACKET_TYPES.GYRO, PACKET_TYPES.ANGLE])
+    assert.deepStrictEqual(packets[0], { type: PACKET_TYPES.ACC, ax: 0, ay: 0, az: 9.8 })
+    assert.deepStrictEqual(packets[1], { type: PACKET_TYPES.GYRO, wx: 0, wy: 0, wz: 0 })
+    near(packets[2].roll, 20)
+    near(packets[2].pitch, -20)
+    near(packets[2].yaw, 90)
+    assert.strictEqual(stats.goodFrames, 1)
+})
+
+test('a combined packet ending the buffer waits for the next header', () => {
+    const packets = []
+    const decoder = createDecoder(packet => packets.push(packet), { combined: true })
+    decoder.push(bytes(COMBINED))
+    assert.strictEqual(packets.length, 0)
+    decoder.push(bytes('55'))
+    assert.deepStrictEqual(types(packets), [PACKET_TYPES.ACC, PACKET_TYPES.GYRO, PACKET_TYPES.ANGLE])
+})
+
+test('a combined packet not followed by a header is discarded', () => {
+    const { packets, stats } = decode([COMBINED + '00 ' + ACC], { combined: true })
+    assert.deepStrictEqual(types(packets), [PACKET_TYPES.ACC])
+    assert.strictEqual(stats.resyncs, 1)
+})
+
+test('combined register replies', () => {
+    const { packets } = decode([COMBINED_REGISTERS + '55'], { combined: true })
+    assert.deepStrictEqual(packets, [{
+        type: PACKET_TYPES.REGISTERS,
+        register: 0x02,
+        values: [0x001E, 0x0006, 0x0002, 0, 0, 0, 0, 0]
+    }])
+})
+
+test('ddmm positions', () => {
+    near(ddmmToDegrees(480703800), 48.1173)
+    near(ddmmToDegrees(-113100000), -11.5167)
+})
+
+test('commands', () => {
+    assert.deepStrictEqual(Buffer.from(UNLOCK), bytes('FF AA 69 88 B5'))
+    assert.deepStrictEqual(Buffer.from(command(0x03, 0x0006)), bytes('FF AA 03 06 00'))
+})